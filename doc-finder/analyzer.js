@@ -0,0 +1,180 @@
+'use strict';
+
+const porterStem = require('./porter-stemmer');
+
+/** An Analyzer converts text into the normalized words which are
+ *  indexed and searched by DocFinder.  It runs a pipeline:
+ *
+ *     tokenizer: a global regex; each match is a token.
+ *     filters:   functions applied in order to each token; the
+ *                first is usually a lower-casing filter.
+ *     stemmer:   function which reduces a filtered token to its stem.
+ *     noise:     drops words which are noise words.
+ *
+ *  A token which becomes empty at any stage is dropped.
+ */
+class Analyzer {
+
+  constructor({tokenizer=WORD_REGEX, filters=[], stemmer=(w => w)} = {}) {
+    this.tokenizer = tokenizer; this.filters = filters;
+    this.stemmer = stemmer;
+  }
+
+  /** Return a list of triples with triple[0] containing a non-noise
+   *  normalized word from text, triple[1] containing the offset
+   *  within text where the word starts and triple[2] containing the
+   *  position of the word among all the tokens in text (including
+   *  noise words and tokens which normalize to nothing).
+   */
+  analyze(text, noiseWords=EMPTY) {
+    const words = [];
+    this.tokens(text).forEach(([token, offset], position) => {
+      const word = this.normalize(token);
+      if (word && !noiseWords.has(word)) words.push([word, offset, position]);
+    });
+    return words;
+  }
+
+  /** Return normalized word for token by running it through the
+   *  filters and stemmer; '' if it normalizes to nothing.
+   */
+  normalize(token) {
+    const word = this.filter(token);
+    return (word) ? this.stemmer(word) : '';
+  }
+
+  /** Return token run through the filters but not the stemmer.  Used
+   *  for prefixes which are not complete words.
+   */
+  filter(token) {
+    let word = token;
+    for (const f of this.filters) {
+      if (!word) break;
+      word = f(word);
+    }
+    return word;
+  }
+
+  /** Return the token which starts at offset in text; '' if none. */
+  tokenAt(text, offset) {
+    const regex = new RegExp(this.tokenizer.source, this._flags('y'));
+    regex.lastIndex = offset;
+    const match = regex.exec(text);
+    return (match) ? match[0] : '';
+  }
+
+  /** Return list of pairs [token, offset] for all tokens in text. */
+  tokens(text) {
+    const regex = new RegExp(this.tokenizer.source, this._flags('g'));
+    const tokens = [];
+    let match;
+    while (match = regex.exec(text)) {
+      tokens.push([match[0], match.index]);
+    }
+    return tokens;
+  }
+
+  /** Return flags of tokenizer other than g or y, plus flag. */
+  _flags(flag) {
+    return this.tokenizer.flags.replace(/[gy]/g, '') + flag;
+  }
+
+} //class Analyzer
+
+/** Regex used for extracting words as maximal non-space sequences,
+ *  except that each character of scripts written without spaces
+ *  between words (Han, Hiragana and Katakana) is a separate token so
+ *  that a word in those scripts is matched as a phrase.
+ */
+const WORD_REGEX =
+  /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}]|[^\s\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}]+/gu;
+
+const EMPTY = new Set();
+
+/************************** Filters ****************************/
+
+function lowercase(word) { return word.toLowerCase(); }
+
+/** Unicode compatibility normalization, so that for example
+ *  ligatures and full-width letters match their plain forms.
+ */
+function nfkc(word) { return word.normalize('NFKC'); }
+
+/** Approximate Unicode case folding: unlike lower-casing alone, this
+ *  also folds for example ß to ss and final sigma to sigma.
+ */
+function caseFold(word) { return word.toUpperCase().toLowerCase(); }
+
+function removePossessive(word) { return word.replace(/[\'’]s$/, ''); }
+
+function removeNonAlpha(word) { return word.replace(/[^a-z]/g, ''); }
+
+/** Remove everything other than letters and the marks combined with
+ *  them; unlike removeNonAlpha(), letters of all scripts are kept.
+ */
+function removeNonLetter(word) { return word.replace(/[^\p{L}\p{M}]/gu, ''); }
+
+/** Remove diacritics from letters of the Latin, Greek and Cyrillic
+ *  scripts, so that for example café matches cafe.  Marks of other
+ *  scripts are retained since they are often vowels.
+ */
+function foldDiacritics(word) {
+  return word.normalize('NFD')
+    .replace(/([\p{sc=Latin}\p{sc=Greek}\p{sc=Cyrillic}])\p{Mn}+/gu, '$1')
+    .normalize('NFC');
+}
+
+/** Return filters of the standard analyzers for options (see
+ *  getAnalyzer()).
+ */
+function standardFilters(options) {
+  const filters = [ nfkc, caseFold, removePossessive ];
+  if (options.foldDiacritics) filters.push(foldDiacritics);
+  filters.push(removeNonLetter);
+  return filters;
+}
+
+/** Porter stemmer applied only to words consisting of a-z, since it
+ *  would mangle words in other scripts.
+ */
+function englishStem(word) {
+  return (/^[a-z]+$/.test(word)) ? porterStem(word) : word;
+}
+
+/** Factories for analyzers selectable by name, each taking the
+ *  options accepted by getAnalyzer().  Their filters NFKC-normalize
+ *  and case-fold words, remove 's suffixes, optionally fold
+ *  diacritics and remove all characters other than letters.
+ */
+const ANALYZERS = {
+  /** Porter stemming of English words. */
+  english: (options) =>
+    new Analyzer({ filters: standardFilters(options), stemmer: englishStem }),
+
+  /** No stemming beyond removal of 's suffixes. */
+  simple: (options) => new Analyzer({ filters: standardFilters(options) }),
+};
+
+const DEFAULT_ANALYZER = 'english';
+
+/** Return analyzer specified by spec which may be an Analyzer or the
+ *  name of one of the ANALYZERS.  If spec is not valid, throw an
+ *  Error object with property code set to 'BAD_ANALYZER'.
+ *
+ *  For a named analyzer, if options.foldDiacritics is true, letters
+ *  with diacritics are indexed and searched as the letters without
+ *  them (see foldDiacritics()).
+ */
+function getAnalyzer(spec=DEFAULT_ANALYZER, options={}) {
+  if (spec instanceof Analyzer) return spec;
+  if (ANALYZERS.hasOwnProperty(spec)) return ANALYZERS[spec](options);
+  const err = new Error(`unknown analyzer ${spec}`);
+  err.code = 'BAD_ANALYZER';
+  throw err;
+}
+
+module.exports = {
+  Analyzer, ANALYZERS, getAnalyzer,
+  caseFold, foldDiacritics, lowercase, nfkc, removeNonAlpha,
+  removeNonLetter, removePossessive,
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const util = require('util');
+const readFile = util.promisify(fs.readFile);
+const rename = util.promisify(fs.rename);
+const stat = util.promisify(fs.stat);
+const writeFile = util.promisify(fs.writeFile);
+
+/** API keys kept in a local JSON file.  A key has the form ID.SECRET;
+ *  only its id and a hash of the entire key are stored, so a key
+ *  cannot be recovered from the file once it has been created.  Each
+ *  key carries a list of scopes from SCOPES, where a scope implies
+ *  all the scopes before it (so admin keys can also read and write).
+ */
+class ApiKeys {
+
+  constructor(path, keys, mtime) {
+    this.path = path; this.keys = keys; this.mtime = mtime;
+  }
+
+  /** This factory method returns a new instance of ApiKeys for the
+   *  keys in the file at path.  A missing file is treated as
+   *  containing no keys.
+   */
+  static async load(path) {
+    const apiKeys = new ApiKeys(path, [], 0);
+    await apiKeys._refresh();
+    return apiKeys;
+  }
+
+  /** Create, save and return a new key having the specified list of
+   *  scopes.  The returned object has properties id, key (the only
+   *  time the key itself is available), scopes, description and
+   *  createdAt.  If scopes is empty or contains something other than
+   *  a scope from SCOPES, throw an Error object with property code set
+   *  to 'BAD_SCOPE'.
+   */
+  async create(scopes, description='') {
+    if (scopes.length === 0 || !scopes.every(s => SCOPES.indexOf(s) >= 0)) {
+      const err = new Error(`scopes must be some of ${SCOPES.join(', ')}`);
+      err.code = 'BAD_SCOPE';
+      throw err;
+    }
+    await this._refresh();
+    const id = crypto.randomBytes(ID_BYTES).toString('hex');
+    const key = `${id}.${crypto.randomBytes(SECRET_BYTES).toString('hex')}`;
+    const entry = {
+      id, hash: hashKey(key), scopes: Array.from(new Set(scopes)),
+      description, createdAt: new Date().toISOString(),
+    };
+    this.keys.push(entry);
+    await this._save();
+    return Object.assign({ key }, publicEntry(entry));
+  }
+
+  /** Revoke the key with id (or the entire key) id.  Return true iff
+   *  such a key existed.
+   */
+  async revoke(id) {
+    await this._refresh();
+    const keyId = id.split('.')[0];
+    const n = this.keys.length;
+    this.keys = this.keys.filter(k => k.id !== keyId);
+    if (this.keys.length === n) return false;
+    await this._save();
+    return true;
+  }
+
+  /** Return list of { id, scopes, description, createdAt } for all
+   *  keys.
+   */
+  async list() {
+    await this._refresh();
+    return this.keys.map(publicEntry);
+  }
+
+  /** Return { id, scopes } for key if it is a valid key; null
+   *  otherwise.  Keys created or revoked by other processes since
+   *  the file was last read are taken into account.  If the file has
+   *  since become invalid, the keys last read from it continue to be
+   *  used until it is fixed.
+   */
+  async authenticate(key) {
+    try {
+      await this._refresh();
+    }
+    catch (err) {
+      if (err.code !== 'BAD_KEYS_FILE') throw err;
+    }
+    const entry = this.keys.find(k => k.id === String(key).split('.')[0]);
+    if (!entry) return null;
+    const expected = Buffer.from(entry.hash, 'hex');
+    const actual = Buffer.from(hashKey(key), 'hex');
+    return (crypto.timingSafeEqual(expected, actual))
+      ? { id: entry.id, scopes: entry.scopes }
+      : null;
+  }
+
+  /** Return true iff scopes (a list of scopes of some key) permit
+   *  access requiring scope.
+   */
+  static hasScope(scopes, scope) {
+    const required = SCOPES.indexOf(scope);
+    return scopes.some(s => SCOPES.indexOf(s) >= required);
+  }
+
+  /** Reread keys from this.path if it has changed since last read.
+   *  If the file is not a valid API keys file, throw an Error object
+   *  with property code set to 'BAD_KEYS_FILE'.
+   */
+  async _refresh() {
+    let mtime;
+    try {
+      mtime = (await stat(this.path)).mtimeMs;
+    }
+    catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.keys = []; this.mtime = 0;
+      return;
+    }
+    if (mtime === this.mtime) return;
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.path, 'utf8'));
+    }
+    catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      throw keysFileError(`${this.path}: ${err.message}`);
+    }
+    if (!data || !Array.isArray(data.keys)) {
+      throw keysFileError(`${this.path} is not an API keys file`);
+    }
+    data.keys.forEach((entry, i) => {
+      const message = entryError(entry);
+      if (message) throw keysFileError(`${this.path}: key ${i}: ${message}`);
+    });
+    this.keys = data.keys; this.mtime = mtime;
+  }
+
+  /** Write keys to this.path, readable only by its owner. */
+  async _save() {
+    const tmpPath = `${this.path}.${process.pid}.tmp`;
+    const json = JSON.stringify({ keys: this.keys }, null, 2) + '\n';
+    await writeFile(tmpPath, json, { mode: 0o600 });
+    await rename(tmpPath, this.path);
+    this.mtime = (await stat(this.path)).mtimeMs;
+  }
+
+} //class ApiKeys
+
+/** Scopes in order of increasing privilege. */
+const SCOPES = [ 'read', 'write', 'admin' ];
+
+ApiKeys.SCOPES = SCOPES;
+
+module.exports = ApiKeys;
+
+//Number of random bytes in key id and secret.
+const ID_BYTES = 4;
+const SECRET_BYTES = 24;
+
+/** Return a message describing what is wrong with entry from a keys
+ *  file; '' if nothing.
+ */
+function entryError(entry) {
+  if (!entry || typeof entry !== 'object') return 'not an object';
+  if (typeof entry.id !== 'string' || entry.id === '') return 'missing id';
+  if (typeof entry.hash !== 'string' || !HASH_REGEX.test(entry.hash)) {
+    return `bad hash for key ${entry.id}`;
+  }
+  if (!Array.isArray(entry.scopes) ||
+      !entry.scopes.every(s => SCOPES.indexOf(s) >= 0)) {
+    return `bad scopes for key ${entry.id}`;
+  }
+  return '';
+}
+
+function keysFileError(message) {
+  const err = new Error(message);
+  err.code = 'BAD_KEYS_FILE';
+  return err;
+}
+
+//Keys are stored as the hex SHA-256 hash of the entire key.
+const HASH_REGEX = /^[0-9a-f]{64}$/;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/** Return entry from keys file without its hash. */
+function publicEntry(entry) {
+  const { id, scopes, description, createdAt } = entry;
+  return { id, scopes, description, createdAt };
+}
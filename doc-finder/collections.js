@@ -0,0 +1,222 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const DocFinder = require('./doc-finder');
+const {ANALYZERS} = require('./analyzer');
+
+/** A set of named collections of documents, each with its own
+ *  DocFinder, noise words and settings.  The default collection uses
+ *  the database given by the url passed to create(); every other
+ *  collection NAME uses a database whose name is that of the default
+ *  database followed by _NAME on the same server.  The names and
+ *  settings of the other collections are registered in the default
+ *  database.
+ *
+ *  The settings of a collection are an object with optional
+ *  properties:
+ *
+ *     analyzer:  the name of the standard analyzer used by its
+ *                DocFinder (see analyzer.js).
+ *     foldDiacritics:
+ *                true if its DocFinder folds diacritics; overrides
+ *                the option passed to create().
+ *     count:     the default number of results per page for its
+ *                searches and completions.
+ *
+ *  A Collections is an EventEmitter which emits a change event
+ *  { collection, event, data } for each event emitted by the
+ *  DocFinder of a collection (see doc-finder.js), where collection
+ *  is the name of the collection and event and data are the name and
+ *  argument of the DocFinder event.  Events of a collection while it
+ *  is being created or removed are not emitted.
+ */
+class Collections extends EventEmitter {
+
+  constructor(dbUrl, options, finders, settings) {
+    super();
+    this.dbUrl = dbUrl; this.options = options;
+    this.finders = finders; this.settings = settings;
+  }
+
+  /** This factory method returns a new instance of Collections for
+   *  the default database dbUrl, opening a DocFinder for each
+   *  registered collection.  options are passed on to
+   *  DocFinder.create() for all collections.
+   */
+  static async create(dbUrl, options={}) {
+    const defaultFinder = await DocFinder.create(dbUrl, options);
+    const finders = new Map([[DEFAULT_COLLECTION, defaultFinder]]);
+    const settings = new Map([[DEFAULT_COLLECTION, {}]]);
+    const collections = new Collections(dbUrl, options, finders, settings);
+    for (const c of await defaultFinder.store.readCollections()) {
+      finders.set(c.name, await collections._open(c.name, c.settings));
+      settings.set(c.name, c.settings);
+    }
+    finders.forEach((finder, name) => collections._watch(name, finder));
+    return collections;
+  }
+
+  /** The DocFinder for the default collection. */
+  get defaultFinder() {
+    return this.finders.get(DEFAULT_COLLECTION);
+  }
+
+  /** Return list of { name, settings } for all collections, with the
+   *  default collection first and the rest sorted by name.
+   */
+  list() {
+    const names = Array.from(this.finders.keys())
+      .filter(n => n !== DEFAULT_COLLECTION).sort();
+    return [DEFAULT_COLLECTION].concat(names)
+      .map(name => ({ name, settings: Object.assign({}, this.settings.get(name)) }));
+  }
+
+  /** Return { name, settings, finder } for collection name.  If not
+   *  found, throw an Error object with property code set to
+   *  'NOT_FOUND'.
+   */
+  get(name) {
+    if (!this.finders.has(name)) {
+      const err = new Error(`collection ${name} not found`);
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+    const settings = Object.assign({}, this.settings.get(name));
+    return { name, settings, finder: this.finders.get(name) };
+  }
+
+  /** Create and return a new collection as per get() named name with
+   *  the specified settings and noise words from the string
+   *  noiseText.  If a collection with that name already exists, throw
+   *  an Error object with property code set to 'EXISTS'.  If name does
+   *  not match COLLECTION_NAME_REGEX or settings are invalid, throw an
+   *  Error object with property code set to 'BAD_COLLECTION'.
+   */
+  async add(name, settings={}, noiseText='') {
+    if (typeof name !== 'string' || !COLLECTION_NAME_REGEX.test(name)) {
+      throw collectionError(`bad collection name ${name}; must be 1 to ` +
+			    '32 letters, digits or _ starting with a ' +
+			    'letter or digit');
+    }
+    if (this.finders.has(name)) {
+      const err = new Error(`collection ${name} already exists`);
+      err.code = 'EXISTS';
+      throw err;
+    }
+    const checked = checkSettings(settings);
+    const finder = await this._open(name, checked);
+    await finder.clear();
+    if (noiseText) await finder.addNoiseWords(noiseText);
+    await this.defaultFinder.store.putCollection(name, checked);
+    this.finders.set(name, finder);
+    this.settings.set(name, checked);
+    this._watch(name, finder);
+    return this.get(name);
+  }
+
+  /** Remove collection name along with its database and hence all
+   *  its documents.  If not found, throw an Error object with
+   *  property code set to 'NOT_FOUND'; the default collection cannot
+   *  be removed and is reported as an Error object with property code
+   *  set to 'BAD_COLLECTION'.
+   */
+  async remove(name) {
+    if (name === DEFAULT_COLLECTION) {
+      throw collectionError('the default collection cannot be removed');
+    }
+    const {finder} = this.get(name);
+    await this.defaultFinder.store.deleteCollection(name);
+    this.finders.delete(name);
+    this.settings.delete(name);
+    finder.removeAllListeners();
+    await finder.store.drop();
+    await finder.close();
+  }
+
+  /** Close all collections. */
+  async close() {
+    for (const finder of this.finders.values()) {
+      await finder.close();
+    }
+  }
+
+  /** Emit change events for the events of finder of collection name. */
+  _watch(name, finder) {
+    for (const event of DocFinder.EVENTS) {
+      finder.on(event, data => this.emit('change', { collection: name, event, data }));
+    }
+  }
+
+  /** Open and return DocFinder for collection name with settings. */
+  async _open(name, settings) {
+    const options = Object.assign({}, this.options);
+    if (settings.analyzer) options.analyzer = settings.analyzer;
+    if (settings.foldDiacritics !== undefined) {
+      options.foldDiacritics = settings.foldDiacritics;
+    }
+    return await DocFinder.create(collectionDbUrl(this.dbUrl, name), options);
+  }
+
+} //class Collections
+
+/** Name of the collection using the database passed to create(). */
+const DEFAULT_COLLECTION = 'default';
+
+/** Collection names are restricted so that they can form part of a
+ *  database name.
+ */
+const COLLECTION_NAME_REGEX = /^[a-zA-Z0-9]\w{0,31}$/;
+
+Collections.DEFAULT_COLLECTION = DEFAULT_COLLECTION;
+
+module.exports = Collections;
+
+/** Return url of the database for collection name given dbUrl, the
+ *  url of the default database.
+ */
+function collectionDbUrl(dbUrl, name) {
+  return (name === DEFAULT_COLLECTION)
+    ? dbUrl
+    : dbUrl.replace(/\/(\w+)(\?.*)?$/, (m, db, query) => `/${db}_${name}${query || ''}`);
+}
+
+/** Return copy of collection settings; throw a 'BAD_COLLECTION' error
+ *  if they are invalid.
+ */
+function checkSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw collectionError('collection settings must be an object');
+  }
+  const checked = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === undefined) continue;
+    if (key === 'analyzer') {
+      if (!ANALYZERS.hasOwnProperty(value)) {
+	throw collectionError(`unknown analyzer ${value}; must be one of ` +
+			      Object.keys(ANALYZERS).join(', '));
+      }
+    }
+    else if (key === 'foldDiacritics') {
+      if (typeof value !== 'boolean') {
+	throw collectionError('collection foldDiacritics must be true or false');
+      }
+    }
+    else if (key === 'count') {
+      if (!Number.isInteger(value) || value <= 0) {
+	throw collectionError('collection count must be a positive integer');
+      }
+    }
+    else {
+      throw collectionError(`unknown collection setting ${key}`);
+    }
+    checked[key] = value;
+  }
+  return checked;
+}
+
+function collectionError(message) {
+  const err = new Error(message);
+  err.code = 'BAD_COLLECTION';
+  return err;
+}
@@ -0,0 +1,355 @@
+'use strict';
+
+const fs = require('fs');
+const util = require('util');
+const readFile = util.promisify(fs.readFile);
+
+const {DB_URL_REGEX} = require('./stores');
+
+/** Settings for the docs server and command line tool.  Each setting
+ *  can be specified by a key in a JSON config file, by an environment
+ *  variable or by a command line flag.  Flags override environment
+ *  variables which override the config file which overrides the
+ *  default.  The config file is named by the --config flag or the
+ *  DOCS_CONFIG environment variable.
+ */
+const SETTINGS = {
+  dbUrl: {
+    env: 'DOCS_DB_URL', flag: '--db-url', type: 'dbUrl',
+    doc: 'database URL: mongodb://SERVER:PORT/DBNAME, ' +
+      'mongodb+srv://SERVER/DBNAME or memory://DBNAME',
+  },
+  dbUser: {
+    env: 'DOCS_DB_USER', flag: '--db-user', type: 'string',
+    doc: 'user name for database authentication',
+  },
+  dbPassword: {
+    env: 'DOCS_DB_PASSWORD', flag: '--db-password', type: 'string',
+    doc: 'password for database authentication',
+  },
+  port: {
+    env: 'DOCS_PORT', flag: '--port', type: 'port',
+    doc: 'port at which the server listens',
+  },
+  count: {
+    env: 'DOCS_COUNT', flag: '--count', type: 'positiveInt', default: 5,
+    doc: 'default number of results per page',
+  },
+  foldDiacritics: {
+    env: 'DOCS_FOLD_DIACRITICS', flag: '--fold-diacritics', type: 'boolean',
+    default: false,
+    doc: 'index and search letters with diacritics as those without them',
+  },
+  noiseFile: {
+    env: 'DOCS_NOISE_FILE', flag: '--noise-file', type: 'string',
+    doc: 'file of noise words loaded when data is reset',
+  },
+  contentFiles: {
+    env: 'DOCS_CONTENT_FILES', flag: '--content-file', type: 'stringList',
+    default: [],
+    doc: 'content files loaded when data is reset; comma-separated ' +
+      'in the environment, flag may be repeated',
+  },
+  resetOnStart: {
+    env: 'DOCS_RESET_ON_START', flag: '--reset-on-start', type: 'boolean',
+    default: true,
+    doc: 'clear data and load noise and content files on startup',
+  },
+  resetInterval: {
+    env: 'DOCS_RESET_INTERVAL', flag: '--reset-interval', type: 'seconds',
+    default: 0,
+    doc: 'seconds between periodic data resets; 0 for none',
+  },
+  keysFile: {
+    env: 'DOCS_KEYS_FILE', flag: '--keys-file', type: 'string',
+    doc: 'file of API keys required for access; access is open if unset',
+  },
+  anonymousRead: {
+    env: 'DOCS_ANONYMOUS_READ', flag: '--anonymous-read', type: 'boolean',
+    default: false,
+    doc: 'allow reads without an API key',
+  },
+  searchRate: {
+    env: 'DOCS_SEARCH_RATE', flag: '--search-rate', type: 'nonNegativeInt',
+    default: 120,
+    doc: 'read requests per minute allowed per client; 0 for no limit',
+  },
+  searchBurst: {
+    env: 'DOCS_SEARCH_BURST', flag: '--search-burst', type: 'positiveInt',
+    default: 30,
+    doc: 'read requests a client may make in a burst',
+  },
+  writeRate: {
+    env: 'DOCS_WRITE_RATE', flag: '--write-rate', type: 'nonNegativeInt',
+    default: 30,
+    doc: 'write requests per minute allowed per client; 0 for no limit',
+  },
+  writeBurst: {
+    env: 'DOCS_WRITE_BURST', flag: '--write-burst', type: 'positiveInt',
+    default: 10,
+    doc: 'write requests a client may make in a burst',
+  },
+  maxBodySize: {
+    env: 'DOCS_MAX_BODY_SIZE', flag: '--max-body-size', type: 'size',
+    default: '100kb',
+    doc: 'maximum size of request bodies other than bulk requests',
+  },
+  maxBulkSize: {
+    env: 'DOCS_MAX_BULK_SIZE', flag: '--max-bulk-size', type: 'size',
+    default: '10mb',
+    doc: 'maximum size of bulk request bodies',
+  },
+  maxQueryTerms: {
+    env: 'DOCS_MAX_QUERY_TERMS', flag: '--max-query-terms',
+    type: 'positiveInt', default: 32,
+    doc: 'maximum number of distinct terms in a search query',
+  },
+  maxCount: {
+    env: 'DOCS_MAX_COUNT', flag: '--max-count', type: 'positiveInt',
+    default: 100,
+    doc: 'maximum value of the count parameter',
+  },
+  hookAttempts: {
+    env: 'DOCS_HOOK_ATTEMPTS', flag: '--hook-attempts', type: 'positiveInt',
+    default: 5,
+    doc: 'number of attempts made to deliver each webhook event',
+  },
+  hookRetryDelay: {
+    env: 'DOCS_HOOK_RETRY_DELAY', flag: '--hook-retry-delay',
+    type: 'nonNegativeInt', default: 1000,
+    doc: 'milliseconds before retrying a webhook delivery, doubled ' +
+      'for each further retry',
+  },
+};
+
+/** Environment variables used by earlier versions, mapped to the
+ *  settings which replace them.  They are still honoured unless the
+ *  variable of the setting is also set, but are reported as
+ *  deprecated.
+ */
+const DEPRECATED_ENV = {
+  DOCS_CLEAR_TIME: 'resetInterval',
+};
+
+const CONFIG_ENV = 'DOCS_CONFIG';
+const CONFIG_FLAG = '--config';
+
+/** Load settings from the config file, env and the leading flags of
+ *  args.  Return { config, args, warnings } where config maps the
+ *  name of each setting which has a value to that value, args are
+ *  the remaining arguments after the flags and warnings lists
+ *  messages about deprecated environment variables (see
+ *  DEPRECATED_ENV) which were used.  Flags have the form
+ *  --FLAG VALUE or --FLAG=VALUE; boolean flags may omit the value.
+ *
+ *  If a config key, environment value or flag is unknown or invalid,
+ *  or the config file cannot be read, throw an Error object with
+ *  property code set to 'BAD_CONFIG' and a message identifying the
+ *  source of the problem.
+ */
+async function loadConfig(args, env=process.env) {
+  const {flags, rest} = parseFlags(args);
+  const configPath = flags.hasOwnProperty(CONFIG_FLAG)
+    ? flags[CONFIG_FLAG]
+    : env[CONFIG_ENV];
+  delete flags[CONFIG_FLAG];
+  const config = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (setting.default !== undefined) config[name] = setting.default;
+  }
+  if (configPath) {
+    Object.assign(config, await readConfigFile(configPath));
+  }
+  const warnings = [];
+  for (const [oldEnv, name] of Object.entries(DEPRECATED_ENV)) {
+    if (env[oldEnv] === undefined || env[oldEnv] === '') continue;
+    const newEnv = SETTINGS[name].env;
+    warnings.push(`environment ${oldEnv} is deprecated; use ${newEnv} instead`);
+    config[name] = parseValue(name, env[oldEnv], `environment ${oldEnv}`);
+  }
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      const value = (setting.type === 'stringList')
+	? env[setting.env].split(',')
+	: env[setting.env];
+      config[name] = parseValue(name, value, `environment ${setting.env}`);
+    }
+  }
+  for (const [flag, value] of Object.entries(flags)) {
+    const name = Object.keys(SETTINGS).find(n => SETTINGS[n].flag === flag);
+    config[name] = parseValue(name, value, `flag ${flag}`);
+  }
+  return { config, args: rest, warnings };
+}
+
+/** Throw a 'BAD_CONFIG' error unless config has values for all the
+ *  settings named in names.
+ */
+function requireSettings(config, names) {
+  for (const name of names) {
+    if (config[name] === undefined) {
+      const {env, flag} = SETTINGS[name];
+      throw configError(`missing setting ${name}: specify it using ` +
+			`${flag}, ${env} or the config file`);
+    }
+  }
+}
+
+/** Return help text describing all settings. */
+function settingsHelp() {
+  const lines = [
+    `settings (${CONFIG_FLAG} FILE or ${CONFIG_ENV} names a JSON file ` +
+      'with these keys):',
+  ];
+  for (const [name, {env, flag, doc}] of Object.entries(SETTINGS)) {
+    lines.push(`  ${name} (${flag}, ${env}): ${doc}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { loadConfig, requireSettings, settingsHelp, SETTINGS };
+
+/** Return { flags, rest } where flags maps each leading flag in args
+ *  to its value and rest contains the remaining args.  Repeated flags
+ *  for list settings have a list of values; other flags may only be
+ *  given once.
+ */
+function parseFlags(args) {
+  const flags = {};
+  let i = 0;
+  for (; i < args.length && args[i].startsWith('--'); i++) {
+    let [flag, value] = splitFlag(args[i]);
+    const isKnown = flag === CONFIG_FLAG ||
+      Object.values(SETTINGS).some(s => s.flag === flag);
+    if (!isKnown) throw configError(`unknown flag ${flag}`);
+    if (value === undefined) {
+      if (isBooleanFlag(flag) &&
+	  (i + 1 >= args.length || !/^(true|false)$/.test(args[i + 1]))) {
+	value = 'true';
+      }
+      else if (i + 1 < args.length) {
+	value = args[++i];
+      }
+      else {
+	throw configError(`missing value for flag ${flag}`);
+      }
+    }
+    if (flags.hasOwnProperty(flag) && !isListFlag(flag)) {
+      throw configError(`flag ${flag} may only be given once`);
+    }
+    flags[flag] = (flags.hasOwnProperty(flag))
+      ? [].concat(flags[flag], value)
+      : value;
+  }
+  return { flags, rest: args.slice(i) };
+}
+
+function splitFlag(arg) {
+  const eq = arg.indexOf('=');
+  return (eq < 0) ? [arg] : [arg.substring(0, eq), arg.substring(eq + 1)];
+}
+
+function isBooleanFlag(flag) {
+  return Object.values(SETTINGS)
+    .some(s => s.flag === flag && s.type === 'boolean');
+}
+
+function isListFlag(flag) {
+  return Object.values(SETTINGS)
+    .some(s => s.flag === flag && s.type === 'stringList');
+}
+
+/** Return settings read from JSON config file at path. */
+async function readConfigFile(path) {
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, 'utf8'));
+  }
+  catch (err) {
+    throw configError(`cannot read config file ${path}: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw configError(`config file ${path} must contain a JSON object`);
+  }
+  const config = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (!SETTINGS.hasOwnProperty(key)) {
+      throw configError(`unknown key ${key} in config file ${path}`);
+    }
+    config[key] = parseValue(key, value, `config file ${path}`);
+  }
+  return config;
+}
+
+/** Return value for setting name converted to its type; source
+ *  describes where value came from for error messages.  Values from
+ *  the environment and flags are strings; those from the config file
+ *  are JSON values.
+ */
+function parseValue(name, value, source) {
+  const type = SETTINGS[name].type;
+  const bad = () =>
+    configError(`bad value ${JSON.stringify(value)} for ${name} in ` +
+		`${source}; expected ${TYPE_DESCRIPTIONS[type]}`);
+  switch (type) {
+  case 'string':
+    if (typeof value !== 'string' || value === '') throw bad();
+    return value;
+  case 'stringList': {
+    const list = [].concat(value);
+    if (!list.every(v => typeof v === 'string' && v !== '')) throw bad();
+    return list;
+  }
+  case 'dbUrl':
+    if (typeof value !== 'string' || !DB_URL_REGEX.test(value)) throw bad();
+    return value;
+  case 'boolean':
+    if (typeof value === 'boolean') return value;
+    if (/^(true|1)$/.test(value)) return true;
+    if (/^(false|0)$/.test(value)) return false;
+    throw bad();
+  case 'port': {
+    const port = toInt(value);
+    if (!(port > 0 && port < 65536)) throw bad();
+    return port;
+  }
+  case 'positiveInt': {
+    const n = toInt(value);
+    if (!(n > 0)) throw bad();
+    return n;
+  }
+  case 'seconds':
+  case 'nonNegativeInt': {
+    const n = toInt(value);
+    if (!(n >= 0)) throw bad();
+    return n;
+  }
+  case 'size':
+    if (!(toInt(value) > 0 || /^\d+(b|kb|mb|gb)$/i.test(value))) throw bad();
+    return (typeof value === 'number') ? value : String(value).toLowerCase();
+  }
+}
+
+const TYPE_DESCRIPTIONS = {
+  string: 'a non-empty string',
+  stringList: 'a list of non-empty strings',
+  dbUrl: SETTINGS.dbUrl.doc.replace(/^database URL: /, ''),
+  boolean: 'true or false',
+  port: 'a port number',
+  positiveInt: 'a positive integer',
+  seconds: 'a non-negative number of seconds',
+  nonNegativeInt: 'a non-negative integer',
+  size: 'a number of bytes optionally followed by b, kb, mb or gb',
+};
+
+/** Return integer value of number or digit string v; NaN if none. */
+function toInt(v) {
+  if (typeof v === 'number') return Number.isInteger(v) ? v : NaN;
+  return (typeof v === 'string' && /^\d+$/.test(v)) ? Number(v) : NaN;
+}
+
+function configError(message) {
+  const err = new Error(message);
+  err.code = 'BAD_CONFIG';
+  return err;
+}
@@ -7,46 +7,135 @@ const path = require('path');
 const readline = require('readline');
 const util = require('util');
 const readFile = util.promisify(fs.readFile);
+const readdir = util.promisify(fs.readdir);
 
+const ApiKeys = require('./api-keys');
 const DocFinder = require('./doc-finder');
+const {loadConfig, settingsHelp} = require('./config');
+const {contentTypeOf} = require('./markup');
 
 //entry point
 function main() {
-  if (process.argv.length < 4) usage();
+  if (process.argv.length < 3) usage();
   (async (args) => await go(process.argv.slice(2)))();
 }
 
 module.exports = main;
 
-/** Top level routine: args[0] is DB URL; args[1] is command; rest of
- *  args depend on command
+/** Top level routine: args start with optional settings flags (see
+ *  config.js); the next arg is the DB URL, which may be omitted if it
+ *  is configured; the next is the command; rest of args depend on
+ *  command.  Alternatively, after the flags is a key command, then
+ *  the API keys file and the rest of args depend on the key command.
  */
 async function go(args) {
   let finder;
   try {
-    /**Support for custom as well as mongoAtlas Cluster */
-    if (args[0] != "mongoAtlas" && !/^mongodb\:\/\/.+?\:\d+\/\w+$/.test(args[0])) {
-      console.error('bad mongo-db url; must be of form ' +
-		    'mongodb://SERVER:PORT/DBNAME');
+    const {config, args: rest} = await loadConfig(args);
+    if (KEY_COMMANDS.hasOwnProperty(rest[0])) {
+      await goKeys(rest);
+      return;
+    }
+    const dbUrl = (COMMANDS.hasOwnProperty(rest[0])) ? config.dbUrl : rest.shift();
+    if (dbUrl === undefined) {
+      console.error('no db url specified or configured');
+      usage();
+    }
+    if (!DocFinder.isDbUrl(dbUrl)) {
+      console.error('bad db url; must be of form mongodb://SERVER:PORT/DBNAME, ' +
+		    'mongodb+srv://SERVER/DBNAME or memory://DBNAME');
       usage();
     }
-    const cmd = args[1];
+    const cmd = rest[0];
     const fn = COMMANDS[cmd];
     if (!fn) {
-      console.error(`bad command '${args[1]}'`);
+      console.error(`bad command '${rest[0]}'`);
       usage();
     }
-    finder = await DocFinder.create(args[0]);
-    await fn(finder, args.slice(2));
+    const credentials = (config.dbUser !== undefined)
+      ? { user: config.dbUser, password: config.dbPassword }
+      : undefined;
+    const options = { credentials, foldDiacritics: config.foldDiacritics };
+    finder = await DocFinder.create(dbUrl, options);
+    await fn(finder, rest.slice(1));
   }
   catch (err) {
-    console.error(err);
+    if (err.code === 'BAD_CONFIG') {
+      console.error(err.message);
+    }
+    else {
+      console.error(err);
+    }
   }
   finally {
     if (finder) await finder.close();
   }
 }
 
+/** Run key command args[0] on the API keys file args[1]. */
+async function goKeys(args) {
+  if (args.length < 2) {
+    console.error('an API keys file is required');
+    usage();
+  }
+  try {
+    const apiKeys = await ApiKeys.load(args[1]);
+    await KEY_COMMANDS[args[0]](apiKeys, args.slice(2));
+  }
+  catch (err) {
+    if (err.code === 'BAD_SCOPE' || err.code === 'BAD_KEYS_FILE') {
+      console.error(err.message);
+    }
+    else {
+      console.error(err);
+    }
+  }
+}
+
+async function createKey(apiKeys, args) {
+  const descIndex = args.indexOf('--description');
+  let description = '';
+  if (descIndex >= 0) {
+    description = args[descIndex + 1];
+    args = args.slice(0, descIndex).concat(args.slice(descIndex + 2));
+  }
+  if (args.length === 0 || description === undefined) {
+    console.error('one-or-more scopes and an optional --description TEXT are required');
+    usage();
+  }
+  const created = await apiKeys.create(args, description);
+  out(`${created.key}\n`);
+  console.error(`created key ${created.id} with scopes ${created.scopes.join(', ')}; ` +
+		'it cannot be shown again');
+}
+
+async function listKeys(apiKeys, args) {
+  if (args.length > 0) {
+    console.error('list-keys does not require additional arguments.');
+    usage();
+  }
+  const keys = await apiKeys.list();
+  if (keys.length === 0) {
+    out('no keys\n');
+  }
+  else {
+    keys.forEach(k => {
+      const desc = (k.description) ? ` ${k.description}` : '';
+      out(`${k.id} ${k.scopes.join(',')} ${k.createdAt}${desc}\n`);
+    });
+  }
+}
+
+async function revokeKey(apiKeys, args) {
+  if (args.length !== 1) {
+    console.error('a single key id is required');
+    usage();
+  }
+  if (!(await apiKeys.revoke(args[0]))) {
+    console.error(`key ${args[0]} not found`);
+  }
+}
+
 async function addContent(finder, args) {
   await add(finder, args, finder.addContent, true);
 }
@@ -84,12 +173,26 @@ async function find(finder, args) {
     usage();
   }
   const searchText = args.join(' ');
-  const results = await time(async() => await finder.find(searchText));
-  if (results.length === 0) {
-    out('no results\n');
+  try {
+    const results = await time(async() => await finder.find(searchText));
+    if (results.length === 0) {
+      out('no results\n');
+      const suggestions = await finder.suggest(searchText);
+      if (suggestions.length > 0) {
+	out(`did you mean: ${suggestions.join(', ')}\n`);
+      }
+    }
+    else {
+      results.forEach((res) => out(`${res}\n`));
+    }
   }
-  else {
-    results.forEach((res) => out(`${res}\n`));
+  catch (err) {
+    if (err.code === 'BAD_QUERY') {
+      console.error(err.message);
+    }
+    else {
+      throw err;
+    }
   }
 }
 
@@ -112,6 +215,118 @@ async function docContent(finder, args) {
   }
 }
 
+async function history(finder, args) {
+  if (args.length !== 1) {
+    console.error('a single document name is required');
+    usage();
+  }
+  try {
+    const versions = await time(async() => await finder.docVersions(args[0]));
+    if (versions.length === 0) {
+      out('no versions\n');
+    }
+    else {
+      versions.forEach(v => {
+	const title = (v.title !== undefined) ? ` ${v.title}` : '';
+	out(`${v.version} ${v.updatedAt}${title}\n`);
+      });
+    }
+  }
+  catch (err) {
+    if (err.code === 'NOT_FOUND') {
+      console.error(err.message);
+    }
+    else {
+      throw err;
+    }
+  }
+}
+
+async function removeContent(finder, args) {
+  if (args.length !== 1) {
+    console.error('a single document name is required');
+    usage();
+  }
+  try {
+    await time(async() => await finder.removeContent(args[0]));
+  }
+  catch (err) {
+    if (err.code === 'NOT_FOUND') {
+      console.error(err.message);
+    }
+    else {
+      throw err;
+    }
+  }
+}
+
+async function importDir(finder, args) {
+  let glob;
+  const globIndex = args.indexOf('--glob');
+  if (globIndex >= 0) {
+    glob = args[globIndex + 1];
+    args = args.slice(0, globIndex).concat(args.slice(globIndex + 2));
+  }
+  if (args.length !== 1 || (globIndex >= 0 && !glob)) {
+    console.error('a single directory and an optional --glob PATTERN are required');
+    usage();
+  }
+  const regex = (glob) ? globRegex(glob) : /./;
+  const files = (await walk(args[0])).filter(f => regex.test(path.basename(f)));
+  await time(async() => {
+    const docs = [];
+    for (const fName of files) {
+      const name = path.basename(fName, '.txt');
+      const contentType = contentTypeOf(fName);
+      docs.push({ name, content: await readFileContents(fName), contentType });
+    }
+    const results = await finder.addContents(docs);
+    results.filter(r => r.status === 'error')
+      .forEach(r => console.error(`${r.name}: ${r.message}`));
+    const nOk = results.filter(r => r.status !== 'error').length;
+    out(`imported ${nOk} of ${results.length} documents\n`);
+  });
+}
+
+/** Return list of paths of all files within directory dir. */
+async function walk(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  }
+  catch (err) {
+    console.error('cannot read directory %s: %s', dir, err);
+    process.exit(1);
+  }
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await walk(entryPath));
+    }
+    else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+/** Return regex for shell glob pattern using * and ? wildcards. */
+function globRegex(glob) {
+  const re = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${re}$`);
+}
+
+async function migrate(finder, args) {
+  if (args.length > 0) {
+    console.error('migrate does not require additional arguments.');
+    usage();
+  }
+  const n = await time(async () => await finder.migrate());
+  out(`re-indexed ${n} documents\n`);
+}
+
 async function add(finder, args, fn, needsName=false) {
   if (args.length === 0) {
     console.error('one-or-more content names are required');
@@ -121,7 +336,9 @@ async function add(finder, args, fn, needsName=false) {
     for (const fName of args) {
       const name = path.basename(fName, '.txt');
       const contents = await readFileContents(fName);
-      const applyArgs = (needsName) ? [name, contents] : [contents];
+      const applyArgs = (needsName)
+	? [name, contents, { contentType: contentTypeOf(fName) }]
+	: [contents];
       await fn.apply(finder, applyArgs);
     };
   });
@@ -147,12 +364,13 @@ async function time(fn) {
 }
 
 function usage() {
-  console.error(USAGE, path.basename(process.argv[1]));
+  const prog = path.basename(process.argv[1]);
+  console.error(USAGE, prog, prog, settingsHelp());
   process.exit(1);
 }
 
 const USAGE = `
-usage: %s DB_URL COMMAND [COMMAND_ARGS...]
+usage: %s [--FLAG VALUE...] [DB_URL] COMMAND [COMMAND_ARGS...]
   where COMMAND is:
   add-content CONTENT-FILE...
   add-noise NOISE-FILE...
@@ -160,6 +378,17 @@ usage: %s DB_URL COMMAND [COMMAND_ARGS...]
   complete SEARCH-TERM...
   find SEARCH-TERM...
   get DOC_NAME
+  history DOC_NAME
+  import DIR [--glob PATTERN]
+  migrate
+  remove DOC_NAME
+or:    %s [--FLAG VALUE...] KEY_COMMAND KEYS_FILE [KEY_COMMAND_ARGS...]
+  where KEY_COMMAND is:
+  create-key SCOPE... [--description TEXT]
+  list-keys
+  revoke-key KEY_ID
+  and SCOPE is one of ${ApiKeys.SCOPES.join(', ')}
+%s
 `.trim();
 
 const COMMANDS = {
@@ -169,6 +398,16 @@ const COMMANDS = {
   complete: complete,
   find: find,
   get: docContent,
+  history: history,
+  import: importDir,
+  migrate: migrate,
+  remove: removeContent,
+}
+
+const KEY_COMMANDS = {
+  ['create-key']: createKey,
+  ['list-keys']: listKeys,
+  ['revoke-key']: revokeKey,
 }
 
 main();
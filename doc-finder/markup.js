@@ -0,0 +1,253 @@
+'use strict';
+
+const path = require('path');
+
+/** Conversion of documents to the plain text which is indexed for
+ *  them.  A document is stored as its source in one of the
+ *  CONTENT_TYPES; HTML and Markdown sources are rendered as text by
+ *  dropping their markup.  Since the index records offsets within
+ *  the text, a Rendering also maps each text offset back to the
+ *  offset within the source from which it came.
+ */
+
+/** Supported content types. */
+const CONTENT_TYPES = [ 'text/plain', 'text/html', 'text/markdown' ];
+const DEFAULT_CONTENT_TYPE = 'text/plain';
+
+/** Content types of files by (lower-cased) extension. */
+const EXTENSION_TYPES = {
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.markdown': 'text/markdown',
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+};
+
+/** Text rendering of a document source. */
+class Rendering {
+
+  /** text is the rendered text; the parallel sorted lists textStarts
+   *  and sourceStarts give the start offsets in text and source of
+   *  each run of text which was copied from contiguous source.
+   */
+  constructor(text, textStarts, sourceStarts) {
+    this.text = text;
+    this.textStarts = textStarts; this.sourceStarts = sourceStarts;
+  }
+
+  /** Return offset within source of the character at offset
+   *  textOffset in this.text.
+   */
+  sourceOffset(textOffset) {
+    const i = lastIndexAtMost(this.textStarts, textOffset);
+    return this.sourceStarts[i] + textOffset - this.textStarts[i];
+  }
+
+}
+
+/** Return the content type for a file named fileName based on its
+ *  extension; DEFAULT_CONTENT_TYPE if the extension is not known.
+ */
+function contentTypeOf(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  return EXTENSION_TYPES[ext] || DEFAULT_CONTENT_TYPE;
+}
+
+/** Return a Rendering of string source having content type
+ *  contentType (one of CONTENT_TYPES).  The rendered text always
+ *  ends with a newline if source does.
+ */
+function render(source, contentType=DEFAULT_CONTENT_TYPE) {
+  switch (contentType) {
+  case 'text/html':
+    return renderHtml(source);
+  case 'text/markdown':
+    return renderMarkdown(source);
+  default:
+    return new Rendering(source, [0], [0]);
+  }
+}
+
+module.exports = {
+  CONTENT_TYPES, DEFAULT_CONTENT_TYPE, Rendering, contentTypeOf, render,
+};
+
+/** Accumulates rendered text along with its offset map. */
+class TextBuilder {
+
+  constructor(source) {
+    this.source = source; this.text = '';
+    this.textStarts = []; this.sourceStarts = [];
+  }
+
+  /** Append source text from offset start up to end. */
+  copy(start, end) {
+    if (end <= start) return;
+    this._mark(start);
+    this.text += this.source.substring(start, end);
+  }
+
+  /** Append string s, which replaces markup at sourceOffset. */
+  put(s, sourceOffset) {
+    this._mark(sourceOffset);
+    this.text += s;
+  }
+
+  /** Append a newline for markup at sourceOffset unless the text is
+   *  empty or already ends with one.
+   */
+  newline(sourceOffset) {
+    if (this.text.length > 0 && !this.text.endsWith('\n')) {
+      this.put('\n', sourceOffset);
+    }
+  }
+
+  /** Return Rendering of the appended text. */
+  rendering() {
+    if (this.source.endsWith('\n') && !this.text.endsWith('\n')) {
+      this.put('\n', this.source.length - 1);
+    }
+    if (this.textStarts.length === 0) this._mark(0);
+    return new Rendering(this.text, this.textStarts, this.sourceStarts);
+  }
+
+  /** Start a new run at sourceOffset unless it continues the last. */
+  _mark(sourceOffset) {
+    const n = this.textStarts.length;
+    if (n > 0 && this.sourceStarts[n - 1] + this.text.length -
+	this.textStarts[n - 1] === sourceOffset) {
+      return;
+    }
+    this.textStarts.push(this.text.length);
+    this.sourceStarts.push(sourceOffset);
+  }
+
+}
+
+/** Markup in HTML: comments, script and style elements (which are
+ *  dropped along with their contents), tags and character references.
+ */
+const HTML_MARKUP_REGEX = new RegExp([
+  '<!--[\\s\\S]*?(?:-->|$)',
+  '<(script|style)\\b[^>]*>[\\s\\S]*?(?:<\\/\\1\\s*>|$)',
+  '<\\/?([a-zA-Z][\\w-]*)[^>]*>',
+  '<![^>]*>',
+  '&(#\\d+|#[xX][\\da-fA-F]+|[a-zA-Z]+);',
+].join('|'), 'gi');
+
+/** Elements which start a new line of text. */
+const HTML_BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl',
+  'dt', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5',
+  'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+  'table', 'td', 'th', 'title', 'tr', 'ul',
+]);
+
+const HTML_ENTITIES = {
+  amp: '&', apos: "'", gt: '>', lt: '<', nbsp: ' ', quot: '"',
+  copy: '©', hellip: '…', ldquo: '“', lsquo: '‘',
+  mdash: '—', ndash: '–', rdquo: '”', reg: '®',
+  rsquo: '’',
+};
+
+function renderHtml(source) {
+  const builder = new TextBuilder(source);
+  let last = 0;
+  for (const m of source.matchAll(HTML_MARKUP_REGEX)) {
+    builder.copy(last, m.index);
+    last = m.index + m[0].length;
+    const [, , tag, entity] = m;
+    if (entity !== undefined) {
+      const c = decodeEntity(entity);
+      if (c === undefined) {
+	builder.copy(m.index, last);
+      }
+      else {
+	builder.put(c, m.index);
+      }
+    }
+    else if (tag !== undefined && HTML_BLOCK_TAGS.has(tag.toLowerCase())) {
+      builder.newline(m.index);
+    }
+  }
+  builder.copy(last, source.length);
+  return builder.rendering();
+}
+
+/** Return the character for HTML character reference &entity; or
+ *  undefined if it is not known.
+ */
+function decodeEntity(entity) {
+  if (entity[0] !== '#') return HTML_ENTITIES[entity.toLowerCase()];
+  const code = (/^#x/i.test(entity))
+    ? parseInt(entity.substring(2), 16)
+    : parseInt(entity.substring(1), 10);
+  return (code > 0 && code <= 0x10ffff) ? String.fromCodePoint(code) : undefined;
+}
+
+/** Lines which delimit fenced code blocks. */
+const MD_FENCE_REGEX = /^ {0,3}(```|~~~)/;
+
+/** Lines which contain only a thematic break or heading underline. */
+const MD_RULE_REGEX = /^ {0,3}(?:([-*_])(?: *\1){2,}|=+|-+) *$/;
+
+/** Block quote, heading and list item markers at the start of a line. */
+const MD_PREFIX_REGEX = /^ {0,3}(?:> ?)*(?:#{1,6}(?=\s)|[-*+](?=\s)|\d+[.)](?=\s))?\s*/;
+
+/** Inline markup: links and images (whose text is kept), HTML tags,
+ *  code spans and emphasis.  Underscores within words are not
+ *  emphasis.
+ */
+const MD_INLINE_REGEX =
+  /(!?\[)([^\]\n]*)\]\([^)\n]*\)|<\/?[a-zA-Z][^>\n]*>|`+|\*+|(?<![\p{L}\p{N}])_+|_+(?![\p{L}\p{N}])/gu;
+
+function renderMarkdown(source) {
+  const builder = new TextBuilder(source);
+  let inFence = false;
+  for (let start = 0; start < source.length; ) {
+    const newline = source.indexOf('\n', start);
+    const end = (newline < 0) ? source.length : newline;
+    const next = (newline < 0) ? source.length : newline + 1;
+    const line = source.substring(start, end);
+    if (MD_FENCE_REGEX.test(line)) {
+      inFence = !inFence;
+    }
+    else if (inFence) {
+      builder.copy(start, next);
+    }
+    else if (!MD_RULE_REGEX.test(line)) {
+      const prefix = line.match(MD_PREFIX_REGEX)[0].length;
+      renderMarkdownInline(builder, start + prefix, end);
+      builder.copy(end, next);
+    }
+    start = next;
+  }
+  return builder.rendering();
+}
+
+/** Append the text of source from start up to end without inline
+ *  markup to builder.
+ */
+function renderMarkdownInline(builder, start, end) {
+  const line = builder.source.substring(start, end);
+  let last = 0;
+  for (const m of line.matchAll(MD_INLINE_REGEX)) {
+    builder.copy(start + last, start + m.index);
+    last = m.index + m[0].length;
+    if (m[1] !== undefined) {
+      const textStart = start + m.index + m[1].length;
+      builder.copy(textStart, textStart + m[2].length);
+    }
+  }
+  builder.copy(start + last, end);
+}
+
+/** Return index of last element in sorted array a which is <= v. */
+function lastIndexAtMost(a, v) {
+  let lo = 0, hi = a.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi)/2);
+    if (a[mid] <= v) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
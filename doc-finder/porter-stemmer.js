@@ -0,0 +1,115 @@
+'use strict';
+
+/** An implementation of the Porter stemming algorithm for English
+ *  words as described in M.F. Porter, "An algorithm for suffix
+ *  stripping", Program 14(3), 1980.  Expects a lower-cased word
+ *  consisting only of the letters a-z.
+ */
+function porterStem(word) {
+  if (word.length < 3) return word;
+
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) w = 'Y' + w.substr(1);
+
+  //step 1a
+  let m;
+  if ((m = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = m[1] + m[2];
+  }
+  else if ((m = /^(.+?)([^s])s$/.exec(w))) {
+    w = m[1] + m[2];
+  }
+
+  //step 1b
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (MGR0.test(m[1])) w = w.slice(0, -1);
+  }
+  else if ((m = /^(.+?)(ed|ing)$/.exec(w))) {
+    const stem = m[1];
+    if (HAS_VOWEL.test(stem)) {
+      w = stem;
+      if (/(at|bl|iz)$/.test(w)) {
+	w += 'e';
+      }
+      else if (/([^aeiouylsz])\1$/.test(w)) {
+	w = w.slice(0, -1);
+      }
+      else if (CVC.test(w)) {
+	w += 'e';
+      }
+    }
+  }
+
+  //step 1c
+  if ((m = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(m[1])) {
+    w = m[1] + 'i';
+  }
+
+  //step 2
+  if ((m = STEP2_REGEX.exec(w)) && MGR0.test(m[1])) {
+    w = m[1] + STEP2_SUFFIXES[m[2]];
+  }
+
+  //step 3
+  if ((m = STEP3_REGEX.exec(w)) && MGR0.test(m[1])) {
+    w = m[1] + STEP3_SUFFIXES[m[2]];
+  }
+
+  //step 4
+  if ((m = STEP4_REGEX.exec(w))) {
+    if (MGR1.test(m[1])) w = m[1];
+  }
+  else if ((m = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MGR1.test(m[1] + m[2])) w = m[1] + m[2];
+  }
+
+  //step 5
+  if ((m = /^(.+?)e$/.exec(w))) {
+    const stem = m[1];
+    if (MGR1.test(stem) || (MEQ1.test(stem) && !CVC.test(stem))) w = stem;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  if (firstY) w = 'y' + w.substr(1);
+  return w;
+}
+
+module.exports = porterStem;
+
+//Consonant and vowel sequences; a y preceded by a consonant is a vowel.
+const C = '[^aeiou]';
+const V = '[aeiouy]';
+const CS = C + '[^aeiouy]*';
+const VS = V + '[aeiou]*';
+
+/** Words of the form [C](VC){m}[V] with m > 0, m = 1 and m > 1. */
+const MGR0 = new RegExp(`^(${CS})?${VS}${CS}`);
+const MEQ1 = new RegExp(`^(${CS})?${VS}${CS}(${VS})?$`);
+const MGR1 = new RegExp(`^(${CS})?${VS}${CS}${VS}${CS}`);
+
+/** Word contains a vowel. */
+const HAS_VOWEL = new RegExp(`^(${CS})?${V}`);
+
+/** Word ends consonant-vowel-consonant where the last is not w, x or y. */
+const CVC = new RegExp(`^${CS}${V}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance',
+  izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent', eli: 'e',
+  ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate',
+  alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous',
+  aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log',
+};
+const STEP2_REGEX =
+  new RegExp(`^(.+?)(${Object.keys(STEP2_SUFFIXES).join('|')})$`);
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic',
+  ful: '', ness: '',
+};
+const STEP3_REGEX =
+  new RegExp(`^(.+?)(${Object.keys(STEP3_SUFFIXES).join('|')})$`);
+
+const STEP4_REGEX = new RegExp('^(.+?)(al|ance|ence|er|ic|able|ible|ant|' +
+			       'ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$');
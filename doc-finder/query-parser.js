@@ -0,0 +1,170 @@
+'use strict';
+
+/** Parser for the query language accepted by DocFinder.find():
+ *
+ *     query   := or
+ *     or      := and ( ['OR'] and )*
+ *     and     := unary ( 'AND' unary )*
+ *     unary   := ( 'NOT' | '-' ) unary | primary
+ *     primary := WORD | PHRASE | '(' or ')'
+ *
+ *  where a PHRASE is a double-quoted string optionally followed by
+ *  ~N.  Juxtaposed clauses are OR'd so that a query of plain words
+ *  matches documents containing any of the words.  The operators
+ *  must be upper-case; lower-case and, or, not are plain words.
+ *
+ *  parseQuery() returns a tree of nodes, each with a type property
+ *  and a pos property giving its offset within the query text:
+ *
+ *     { type: 'word', text }
+ *     { type: 'phrase', text, slop }
+ *     { type: 'and', children }
+ *     { type: 'or', children }
+ *     { type: 'not', child }
+ *
+ *  It returns null for an empty query.  A syntax error results in an
+ *  Error object thrown with property code set to 'BAD_QUERY' and
+ *  property position set to the offset of the problem.
+ */
+function parseQuery(text) {
+  const parser = new Parser(text);
+  if (parser.peek().type === EOF) return null;
+  const node = parser.or();
+  const tok = parser.peek();
+  if (tok.type !== EOF) parser.error(tok.pos, `unexpected '${tok.text}'`);
+  return node;
+}
+
+module.exports = { parseQuery, queryError };
+
+/** Return an Error object for a bad query with message msg at
+ *  offset pos within the query text.
+ */
+function queryError(pos, msg) {
+  const err = new Error(`bad query at position ${pos}: ${msg}`);
+  err.code = 'BAD_QUERY';
+  err.position = pos;
+  return err;
+}
+
+//Token types
+const WORD = 'word';
+const PHRASE = 'phrase';
+const AND = 'and';
+const OR = 'or';
+const NOT = 'not';
+const LPAREN = '(';
+const RPAREN = ')';
+const EOF = 'end of query';
+
+const OPERATORS = { AND: AND, OR: OR, NOT: NOT };
+
+class Parser {
+
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  peek() { return this.tokens[this.index]; }
+
+  next() { return this.tokens[this.index++]; }
+
+  error(pos, msg) { throw queryError(pos, msg); }
+
+  or() {
+    const children = [ this.and() ];
+    for (let tok = this.peek(); tok.type !== EOF && tok.type !== RPAREN;
+	 tok = this.peek()) {
+      if (tok.type === OR) this.next();
+      children.push(this.and());
+    }
+    return (children.length === 1)
+      ? children[0]
+      : { type: OR, pos: children[0].pos, children };
+  }
+
+  and() {
+    const children = [ this.unary() ];
+    while (this.peek().type === AND) {
+      this.next();
+      children.push(this.unary());
+    }
+    return (children.length === 1)
+      ? children[0]
+      : { type: AND, pos: children[0].pos, children };
+  }
+
+  unary() {
+    const tok = this.peek();
+    if (tok.type === NOT) {
+      this.next();
+      return { type: NOT, pos: tok.pos, child: this.unary() };
+    }
+    return this.primary();
+  }
+
+  primary() {
+    const tok = this.next();
+    switch (tok.type) {
+      case WORD:
+	return { type: WORD, pos: tok.pos, text: tok.text };
+      case PHRASE:
+	return { type: PHRASE, pos: tok.pos, text: tok.text, slop: tok.slop };
+      case LPAREN: {
+	if (this.peek().type === RPAREN) this.error(tok.pos, 'empty group');
+	const node = this.or();
+	const close = this.next();
+	if (close.type !== RPAREN) {
+	  this.error(close.pos, `missing ')' for '(' at position ${tok.pos}`);
+	}
+	return node;
+      }
+      case EOF:
+	return this.error(tok.pos, 'unexpected end of query');
+      default:
+	return this.error(tok.pos, `unexpected '${tok.text}'`);
+    }
+  }
+
+} //class Parser
+
+/** Return list of tokens { type, text, pos } for query text,
+ *  terminated by an EOF token.  PHRASE tokens have text set to the
+ *  text between the quotes and a slop property.  A - immediately
+ *  followed by a clause is returned as a NOT token.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  while (true) {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+    if (pos >= text.length) break;
+    const c = text[pos];
+    if (c === LPAREN || c === RPAREN) {
+      tokens.push({ type: c, text: c, pos: pos++ });
+    }
+    else if (c === '"') {
+      const end = text.indexOf('"', pos + 1);
+      if (end < 0) throw queryError(pos, 'unterminated phrase');
+      const slopMatch = text.substring(end + 1).match(/^~(\d+)/);
+      tokens.push({
+	type: PHRASE, pos,
+	text: text.substring(pos + 1, end),
+	slop: (slopMatch) ? Number(slopMatch[1]) : 0,
+      });
+      pos = end + 1 + ((slopMatch) ? slopMatch[0].length : 0);
+    }
+    else if (c === '-' && pos + 1 < text.length && /[^\s)]/.test(text[pos + 1])) {
+      tokens.push({ type: NOT, text: c, pos: pos++ });
+    }
+    else {
+      const word = text.substring(pos).match(/^[^\s()"]+/)[0];
+      const type = OPERATORS.hasOwnProperty(word) ? OPERATORS[word] : WORD;
+      tokens.push({ type, text: word, pos });
+      pos += word.length;
+    }
+  }
+  tokens.push({ type: EOF, text: EOF, pos: text.length });
+  return tokens;
+}
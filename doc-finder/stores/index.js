@@ -0,0 +1,39 @@
+'use strict';
+
+const MemoryStore = require('./memory-store');
+const MongoStore = require('./mongo-store');
+
+/** Map from URL scheme to storage backend class.  Each backend class
+ *  must provide a static async create(dbUrl, options) factory method
+ *  and the instance methods documented in mongo-store.js.
+ */
+const STORES = {
+  memory: MemoryStore,
+  mongodb: MongoStore,
+  ['mongodb+srv']: MongoStore,
+};
+
+/** Regex matching all supported database urls.  Mongo urls may
+ *  have a query string of connection options.
+ */
+const DB_URL_REGEX =
+  /^(mongodb\:\/\/.+?\:\d+\/\w+(\?.*)?|mongodb\+srv\:\/\/[^\/:]+\/\w+(\?.*)?|memory\:\/\/\w+)$/;
+
+/** Open and return the storage backend for dbUrl, selected by its
+ *  URL scheme.  options.user and options.password, if specified, are
+ *  credentials used for authenticating to the database.  If no
+ *  backend supports dbUrl, throw an Error object with property code
+ *  set to 'BAD_URL'.
+ */
+async function openStore(dbUrl, options={}) {
+  const m = dbUrl.match(/^([\w+]+):\/\//);
+  const Store = m && STORES[m[1]];
+  if (!Store) {
+    const err = new Error(`no storage backend for url ${dbUrl}`);
+    err.code = 'BAD_URL';
+    throw err;
+  }
+  return await Store.create(dbUrl, options);
+}
+
+module.exports = { openStore, DB_URL_REGEX };
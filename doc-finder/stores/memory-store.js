@@ -0,0 +1,434 @@
+'use strict';
+
+/** Storage backend which keeps DocFinder state in process memory.
+ *  Opened by DocFinder for urls of the form memory://DB.  State is
+ *  retained for the lifetime of the process, so a store reopened
+ *  with the same DB name sees what was previously stored.
+ */
+class MemoryStore {
+
+  constructor(dbName, db) {
+    this.dbName = dbName;
+    this.db = db;
+  }
+
+  /** This factory method creates and returns a new instance of
+   *  MemoryStore for the database specified by dbUrl.
+   */
+  static async create(dbUrl, options={}) {
+    const [, dbName] = dbUrl.match(/^memory:\/\/(\w+)$/);
+    if (!DATABASES.has(dbName)) DATABASES.set(dbName, emptyDb());
+    return new MemoryStore(dbName, DATABASES.get(dbName));
+  }
+
+  /** Nothing to release. */
+  async close() { }
+
+  /** Remove all stored state other than registered collections and
+   *  webhooks.
+   */
+  async clear() {
+    const {collections, hooks} = this.db;
+    Object.assign(this.db, emptyDb(), { collections, hooks });
+  }
+
+  /** Remove the entire database of this store, including registered
+   *  collections and webhooks.  The store may only be closed
+   *  afterwards.
+   */
+  async drop() {
+    DATABASES.delete(this.dbName);
+    this.db = emptyDb();
+  }
+
+  /** Remove all index state (postings and completions), leaving
+   *  contents, versions and noise words intact.
+   */
+  async clearIndex() {
+    const {words, completions} = emptyDb();
+    Object.assign(this.db, { words, completions });
+  }
+
+  /*************************** Contents ****************************/
+
+  /** Return contents of document name; null if not found. */
+  async getContents(name) {
+    const doc = this.db.contents.get(name);
+    return (doc === undefined) ? null : doc.contents;
+  }
+
+  /** Return map from each of those documents in names which have
+   *  contents to its contents.
+   */
+  async getContentsMany(names) {
+    const contents = new Map();
+    for (const name of names) {
+      const doc = this.db.contents.get(name);
+      if (doc) contents.set(name, doc.contents);
+    }
+    return contents;
+  }
+
+  /** Return true iff there are contents for document name. */
+  async hasContents(name) {
+    return this.db.contents.has(name);
+  }
+
+  /** Given docs, a list of objects { name, contents, info }, save
+   *  contents for each document name, replacing any previous.  The
+   *  properties of info are saved along with the contents; info.length
+   *  is the number of indexed words in the document and the remaining
+   *  properties are document metadata.
+   */
+  async putContentsMany(docs) {
+    for (const {name, contents, info={}} of docs) {
+      this.db.contents.set(name, Object.assign(copy(info), { contents }));
+    }
+  }
+
+  /** Return map from each of those documents in names which have
+   *  contents to the info saved for it by putContentsMany().
+   */
+  async getDocInfos(names) {
+    const infos = new Map();
+    for (const name of names) {
+      const doc = this.db.contents.get(name);
+      if (doc) infos.set(name, docInfo(doc));
+    }
+    return infos;
+  }
+
+  /** Return { docCount, totalLength } where docCount is the number of
+   *  documents and totalLength is the sum of their lengths.
+   */
+  async corpusStats() {
+    let totalLength = 0;
+    for (const doc of this.db.contents.values()) {
+      totalLength += doc.length || 0;
+    }
+    return { docCount: this.db.contents.size, totalLength };
+  }
+
+  /** Delete contents of document name; return true iff it existed. */
+  async deleteContents(name) {
+    return this.db.contents.delete(name);
+  }
+
+  /*************************** Postings ****************************/
+
+  /** Return list of postings { word, doc, info } for all words in
+   *  words.
+   */
+  async findPostings(words) {
+    const postings = [];
+    for (const word of words) {
+      const termIndex = this.db.words.get(word) || new Map();
+      for (const [doc, info] of termIndex.entries()) {
+	postings.push({ word, doc, info: copy(info) });
+      }
+    }
+    return postings;
+  }
+
+  /** Return map from each document name in names to a list of all
+   *  words having postings for it.
+   */
+  async docWordsMany(names) {
+    const docWords = new Map(names.map(n => [n, []]));
+    for (const [word, termIndex] of this.db.words.entries()) {
+      for (const name of names) {
+	if (termIndex.has(name)) docWords.get(name).push(word);
+      }
+    }
+    return docWords;
+  }
+
+  /** Given entries, a list of objects { name, index } where index
+   *  maps words to index info for document name, save postings for
+   *  each word.
+   */
+  async putPostingsMany(entries) {
+    for (const {name, index} of entries) {
+      for (const [word, wordInfo] of Object.entries(index)) {
+	if (!this.db.words.has(word)) this.db.words.set(word, new Map());
+	this.db.words.get(word).set(name, copy(wordInfo));
+      }
+    }
+  }
+
+  /** Given entries, a list of objects { name, words }, remove postings
+   *  for document name for all words in words.  Words which no longer
+   *  have any postings are deleted.
+   */
+  async removePostingsMany(entries) {
+    for (const {name, words} of entries) {
+      for (const word of words) {
+	const termIndex = this.db.words.get(word);
+	if (!termIndex) continue;
+	termIndex.delete(name);
+	if (termIndex.size === 0) this.db.words.delete(word);
+      }
+    }
+  }
+
+  /*************************** Completions ****************************/
+
+  //Completions are kept as a sorted array of words so that a prefix
+  //can be answered by binary search, together with a map from each
+  //word to the number of documents containing it.
+
+  /** Return list of completion words starting with prefix.  The
+   *  options rank ('alpha' or 'frequency'), start and count are as
+   *  documented for DocFinder.complete().
+   */
+  async findCompletions(prefix, options={}) {
+    const {rank='alpha', start=0, count} = options;
+    const words = this._prefixRange(prefix);
+    if (rank === 'frequency') {
+      const docCounts = this.db.completions.docCounts;
+      words.sort((a, b) => (docCounts.get(b) - docCounts.get(a)) ||
+		 ((a < b) ? -1 : 1));
+    }
+    const end = (count === undefined) ? words.length : start + count;
+    return words.slice(start, end);
+  }
+
+  /** Return number of completion words starting with prefix. */
+  async countCompletions(prefix) {
+    return this._prefixRange(prefix).length;
+  }
+
+  /** Return list of all completion words. */
+  async allCompletions() {
+    return Array.from(this.db.completions.words);
+  }
+
+  /** Given deltas mapping words to changes in the number of documents
+   *  containing them, update completions, dropping words which are
+   *  no longer in any document.
+   */
+  async updateCompletions(deltas) {
+    const {words, docCounts} = this.db.completions;
+    for (const [word, delta] of Object.entries(deltas)) {
+      const docCount = (docCounts.get(word) || 0) + delta;
+      const i = lowerBound(words, word);
+      const isPresent = words[i] === word;
+      if (docCount > 0) {
+	docCounts.set(word, docCount);
+	if (!isPresent) words.splice(i, 0, word);
+      }
+      else {
+	docCounts.delete(word);
+	if (isPresent) words.splice(i, 1);
+      }
+    }
+  }
+
+  /** Return sorted list of completion words starting with prefix. */
+  _prefixRange(prefix) {
+    const words = this.db.completions.words;
+    const range = [];
+    for (let i = lowerBound(words, prefix);
+	 i < words.length && words[i].startsWith(prefix); i++) {
+      range.push(words[i]);
+    }
+    return range;
+  }
+
+  /*************************** Versions ****************************/
+
+  /** Given versions, a list of objects { name, version, contents,
+   *  info }, save each as version number version of document name.
+   */
+  async putVersionsMany(versions) {
+    for (const {name, version, contents, info={}} of versions) {
+      if (!this.db.versions.has(name)) this.db.versions.set(name, new Map());
+      this.db.versions.get(name).set(version, { contents, info: copy(info) });
+    }
+  }
+
+  /** Return list of { version, info } for all versions of document
+   *  name in ascending order of version.
+   */
+  async getVersions(name) {
+    const docVersions = this.db.versions.get(name) || new Map();
+    return Array.from(docVersions.entries())
+      .map(([version, v]) => ({ version, info: copy(v.info) }))
+      .sort((v1, v2) => v1.version - v2.version);
+  }
+
+  /** Return { version, contents, info } for version number version of
+   *  document name; null if not found.
+   */
+  async getVersion(name, version) {
+    const v = (this.db.versions.get(name) || new Map()).get(version);
+    return (v) ? { version, contents: v.contents, info: copy(v.info) } : null;
+  }
+
+  /** Delete all versions of document name. */
+  async deleteVersions(name) {
+    this.db.versions.delete(name);
+  }
+
+  /*************************** Collections ****************************/
+
+  /** Return list of { name, settings } for all collections registered
+   *  in this database (see collections.js).
+   */
+  async readCollections() {
+    return Array.from(this.db.collections.entries())
+      .map(([name, settings]) => ({ name, settings: copy(settings) }));
+  }
+
+  /** Register collection name with settings, replacing any previous. */
+  async putCollection(name, settings) {
+    this.db.collections.set(name, copy(settings));
+  }
+
+  /** Unregister collection name. */
+  async deleteCollection(name) {
+    this.db.collections.delete(name);
+  }
+
+  /*************************** Webhooks ****************************/
+
+  /** Return list of all webhooks registered in this database (see
+   *  webhooks.js).
+   */
+  async readHooks() {
+    return Array.from(this.db.hooks.values()).map(copy);
+  }
+
+  /** Register webhook hook, replacing any previous one with its id. */
+  async putHook(hook) {
+    this.db.hooks.set(hook.id, copy(hook));
+  }
+
+  /** Unregister webhook with id. */
+  async deleteHook(id) {
+    this.db.hooks.delete(id);
+  }
+
+  /************************ Saved Searches *************************/
+
+  /** Return list of all saved searches { id, query, createdAt }. */
+  async readSavedSearches() {
+    return Array.from(this.db.savedSearches.values()).map(copy);
+  }
+
+  /** Return saved search id; null if not found. */
+  async getSavedSearch(id) {
+    const search = this.db.savedSearches.get(id);
+    return (search) ? copy(search) : null;
+  }
+
+  /** Save search, replacing any previous one with its id. */
+  async putSavedSearch(search) {
+    this.db.savedSearches.set(search.id, copy(search));
+  }
+
+  /** Delete saved search id along with its matches; return true iff
+   *  it existed.
+   */
+  async deleteSavedSearch(id) {
+    this.db.matches.delete(id);
+    return this.db.savedSearches.delete(id);
+  }
+
+  /** Save matches, a list of objects { search, name, version,
+   *  matchedAt, score, lines, matches } recording that document name
+   *  matched saved search search.
+   */
+  async putMatchesMany(matches) {
+    for (const match of matches) {
+      const searchMatches = this.db.matches.get(match.search) || [];
+      searchMatches.push(copy(match));
+      this.db.matches.set(match.search, searchMatches);
+    }
+  }
+
+  /** Return list of matches of saved search id, latest first and then
+   *  by document name, restricted to options.count (default all)
+   *  matches starting at index options.start (default 0).
+   */
+  async findMatches(id, options={}) {
+    const {start=0, count} = options;
+    const matches = (this.db.matches.get(id) || []).slice()
+      .sort((m1, m2) => m2.matchedAt.localeCompare(m1.matchedAt) ||
+	    m1.name.localeCompare(m2.name));
+    const end = (count === undefined) ? matches.length : start + count;
+    return matches.slice(start, end).map(copy);
+  }
+
+  /** Return number of matches of saved search id. */
+  async countMatches(id) {
+    return (this.db.matches.get(id) || []).length;
+  }
+
+  /*************************** Migration ****************************/
+
+  /** Return list of { name, contents, info } for all documents. */
+  async allContents() {
+    const docs = [];
+    for (const [name, doc] of this.db.contents.entries()) {
+      docs.push({ name, contents: doc.contents, info: docInfo(doc) });
+    }
+    return docs;
+  }
+
+  /*************************** Noise ****************************/
+
+  /** Return list of all noise words. */
+  async readNoise() {
+    return Array.from(this.db.noise);
+  }
+
+  /** Add list of new noise words. */
+  async addNoise(words) {
+    words.forEach(w => this.db.noise.add(w));
+  }
+
+} //class MemoryStore
+
+module.exports = MemoryStore;
+
+/** Map from DB name to state of all memory stores in this process. */
+const DATABASES = new Map();
+
+function emptyDb() {
+  return {
+    collections: new Map(),
+    contents: new Map(),
+    completions: { words: [], docCounts: new Map() },
+    hooks: new Map(),
+    matches: new Map(),
+    noise: new Set(),
+    savedSearches: new Map(),
+    versions: new Map(),
+    words: new Map(),
+  };
+}
+
+/** Return index of first element of sorted array a which is >= v. */
+function lowerBound(a, v) {
+  let lo = 0, hi = a.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (a[mid] < v) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+/** Return a deep copy of plain data value v so that callers cannot
+ *  alias stored state, mirroring the behaviour of a real database.
+ */
+function copy(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+/** Return a copy of the info stored with doc, without its contents. */
+function docInfo(doc) {
+  const info = copy(doc);
+  delete info.contents;
+  return info;
+}
@@ -0,0 +1,505 @@
+const mongo = require('mongodb').MongoClient;
+
+'use strict';
+
+/** Storage backend which persists DocFinder state in a mongo
+ *  database.  Opened by DocFinder for urls of the form
+ *  mongodb://SERVER:PORT/DB.
+ */
+class MongoStore {
+
+  constructor(mongoUrl, dbName, client) {
+    this.mongoUrl = mongoUrl; this.dbName = dbName;
+    this.client = client;
+    this.db = this.client.db(this.dbName);
+    this.completionsTable = this.db.collection(COMPLETIONS_TABLE);
+    this.contentsTable = this.db.collection(CONTENTS_TABLE);
+    this.noiseTable = this.db.collection(NOISE_TABLE);
+    this.postingsTable = this.db.collection(POSTINGS_TABLE);
+    this.versionsTable = this.db.collection(VERSIONS_TABLE);
+    this.collectionsTable = this.db.collection(COLLECTIONS_TABLE);
+    this.hooksTable = this.db.collection(HOOKS_TABLE);
+    this.savedSearchesTable = this.db.collection(SAVED_SEARCHES_TABLE);
+    this.matchesTable = this.db.collection(MATCHES_TABLE);
+  }
+
+  /** This factory method creates and returns a new instance of
+   *  MongoStore connected to the database specified by dbUrl, which
+   *  has the form mongodb://SERVER:PORT/DB or mongodb+srv://SERVER/DB
+   *  optionally followed by a query string of connection options.  If
+   *  options.user is specified, authenticate as that user using
+   *  options.password.
+   */
+  static async create(dbUrl, options={}) {
+    const [, serverUrl, dbName, query] = dbUrl.match(/^(.+?)\/(\w+)(\?.*)?$/);
+    const mongoUrl = (query) ? `${serverUrl}/${query}` : serverUrl;
+    const mongoOptions = Object.assign({}, MONGO_OPTIONS);
+    if (options.user !== undefined) {
+      mongoOptions.auth = { user: options.user, password: options.password };
+    }
+    const client = await mongo.connect(mongoUrl, mongoOptions);
+    const store = new MongoStore(mongoUrl, dbName, client);
+    await store.db.createCollection(NOISE_TABLE);
+    await store.postingsTable.createIndexes(POSTINGS_INDEXES);
+    await store.versionsTable.createIndexes(VERSIONS_INDEXES);
+    await store.matchesTable.createIndexes(MATCHES_INDEXES);
+    return store;
+  }
+
+  /** Close database connection. */
+  async close() {
+    await this.client.close();
+  }
+
+  /** Remove all stored state other than registered collections and
+   *  webhooks.
+   */
+  async clear() {
+    await this.completionsTable.deleteMany({});
+    await this.contentsTable.deleteMany({});
+    await this.noiseTable.deleteMany({});
+    await this.postingsTable.deleteMany({});
+    await this.versionsTable.deleteMany({});
+    await this.savedSearchesTable.deleteMany({});
+    await this.matchesTable.deleteMany({});
+  }
+
+  /** Drop the entire database of this store, including registered
+   *  collections and webhooks.  The store may only be closed
+   *  afterwards.
+   */
+  async drop() {
+    await this.db.dropDatabase();
+  }
+
+  /** Remove all index state (postings and completions), including
+   *  any collections used by earlier versions of the index, leaving
+   *  contents, versions and noise words intact.
+   */
+  async clearIndex() {
+    await this.completionsTable.deleteMany({});
+    await this.postingsTable.deleteMany({});
+    const names = (await this.db.listCollections().toArray()).map(c => c.name);
+    for (const legacy of LEGACY_TABLES) {
+      if (names.indexOf(legacy) >= 0) await this.db.dropCollection(legacy);
+    }
+  }
+
+  /*************************** Contents ****************************/
+
+  /** Return contents of document name; null if not found. */
+  async getContents(name) {
+    const doc = await this.contentsTable.findOne({_id: name});
+    return (doc) ? doc.contents : null;
+  }
+
+  /** Return map from each of those documents in names which have
+   *  contents to its contents, using a single query.
+   */
+  async getContentsMany(names) {
+    if (names.length === 0) return new Map();
+    const cursor = this.contentsTable.find({ _id: { $in: names } })
+      .project({ contents: 1 });
+    const docs = await cursor.toArray();
+    return new Map(docs.map(d => [d._id, d.contents]));
+  }
+
+  /** Return true iff there are contents for document name. */
+  async hasContents(name) {
+    return (await this.contentsTable.countDocuments({_id: name})) > 0;
+  }
+
+  /** Given docs, a list of objects { name, contents, info }, save
+   *  contents for each document name, replacing any previous.  The
+   *  properties of info are saved along with the contents; info.length
+   *  is the number of indexed words in the document and the remaining
+   *  properties are document metadata.
+   */
+  async putContentsMany(docs) {
+    if (docs.length === 0) return;
+    const ops = docs.map(({name, contents, info={}}) => ({
+      replaceOne: {
+	filter: { _id: name },
+	replacement: Object.assign({}, info, { _id: name, contents }),
+	upsert: true,
+      }
+    }));
+    await this.contentsTable.bulkWrite(ops, { ordered: false });
+  }
+
+  /** Return map from each of those documents in names which have
+   *  contents to the info saved for it by putContentsMany().
+   */
+  async getDocInfos(names) {
+    if (names.length === 0) return new Map();
+    const filter = { _id: { $in: names } };
+    const projection = { contents: 0 };
+    const cursor = await this.contentsTable.find(filter, { projection });
+    const docs = await cursor.toArray();
+    return new Map(docs.map(d => [d._id, docInfo(d)]));
+  }
+
+  /** Return { docCount, totalLength } where docCount is the number of
+   *  documents and totalLength is the sum of their lengths.
+   */
+  async corpusStats() {
+    const group = {
+      $group: {
+	_id: null, docCount: {$sum: 1}, totalLength: {$sum: '$length'}
+      }
+    };
+    const [stats] = await this.contentsTable.aggregate([group]).toArray();
+    return {
+      docCount: (stats) ? stats.docCount : 0,
+      totalLength: (stats) ? stats.totalLength : 0,
+    };
+  }
+
+  /** Delete contents of document name; return true iff it existed. */
+  async deleteContents(name) {
+    const ret = await this.contentsTable.deleteOne({_id: name});
+    return ret.deletedCount > 0;
+  }
+
+  /*************************** Postings ****************************/
+
+  //Postings are stored one per word/document pair as
+  //{ word, doc, info } where info is the index info for word in doc,
+  //so that document names are only ever used as values.
+
+  /** Return list of postings { word, doc, info } for all words in
+   *  words, using a single query.
+   */
+  async findPostings(words) {
+    if (words.length === 0) return [];
+    const cursor = this.postingsTable.find({ word: { $in: words } })
+      .project({ _id: 0, word: 1, doc: 1, info: 1 });
+    return await cursor.toArray();
+  }
+
+  /** Return map from each document name in names to a list of all
+   *  words having postings for it.
+   */
+  async docWordsMany(names) {
+    const docWords = new Map(names.map(n => [n, []]));
+    if (names.length === 0) return docWords;
+    const cursor = this.postingsTable.find({ doc: { $in: names } })
+      .project({ _id: 0, word: 1, doc: 1 });
+    for (const {word, doc} of await cursor.toArray()) {
+      docWords.get(doc).push(word);
+    }
+    return docWords;
+  }
+
+  /** Given entries, a list of objects { name, index } where index
+   *  maps words to index info for document name, save postings for
+   *  each word using a single bulk write.
+   */
+  async putPostingsMany(entries) {
+    const ops = [];
+    for (const {name, index} of entries) {
+      for (const [word, info] of Object.entries(index)) {
+	ops.push({
+	  replaceOne: {
+	    filter: { word, doc: name },
+	    replacement: { word, doc: name, info },
+	    upsert: true,
+	  }
+	});
+      }
+    }
+    if (ops.length > 0) {
+      await this.postingsTable.bulkWrite(ops, { ordered: false });
+    }
+  }
+
+  /** Given entries, a list of objects { name, words }, remove postings
+   *  for document name for all words in words.
+   */
+  async removePostingsMany(entries) {
+    const ops = entries.filter(e => e.words.length > 0)
+      .map(({name, words}) => ({
+	deleteMany: { filter: { doc: name, word: { $in: words } } }
+      }));
+    if (ops.length > 0) {
+      await this.postingsTable.bulkWrite(ops, { ordered: false });
+    }
+  }
+
+  /*************************** Completions ****************************/
+
+  //Completions are stored one per word as { _id: word, docCount }
+  //where docCount is the number of documents containing word.  The
+  //_id index allows a prefix to be answered by a range scan.
+
+  /** Return list of completion words starting with prefix.  The
+   *  options rank ('alpha' or 'frequency'), start and count are as
+   *  documented for DocFinder.complete().
+   */
+  async findCompletions(prefix, options={}) {
+    const {rank='alpha', start=0, count} = options;
+    const sort = (rank === 'frequency') ? { docCount: -1, _id: 1 } : { _id: 1 };
+    let cursor = this.completionsTable.find(prefixFilter(prefix))
+      .project({ _id: 1 }).sort(sort).skip(start);
+    if (count !== undefined) cursor = cursor.limit(count);
+    return (await cursor.toArray()).map(d => d._id);
+  }
+
+  /** Return number of completion words starting with prefix. */
+  async countCompletions(prefix) {
+    return await this.completionsTable.countDocuments(prefixFilter(prefix));
+  }
+
+  /** Return list of all completion words. */
+  async allCompletions() {
+    const cursor = await this.completionsTable.find({}).project({ _id: 1 });
+    return (await cursor.toArray()).map(d => d._id);
+  }
+
+  /** Given deltas mapping words to changes in the number of documents
+   *  containing them, update completions, dropping words which are
+   *  no longer in any document.
+   */
+  async updateCompletions(deltas) {
+    const ops = Object.entries(deltas).map(([word, delta]) => ({
+      updateOne: {
+	filter: { _id: word },
+	update: { $inc: { docCount: delta } },
+	upsert: true,
+      }
+    }));
+    await this.completionsTable.bulkWrite(ops, { ordered: false });
+    await this.completionsTable.deleteMany({ docCount: { $lte: 0 } });
+  }
+
+  /*************************** Versions ****************************/
+
+  //Versions are stored one per document version as
+  //{ doc, version, contents, info } where info is the info saved with
+  //the contents of that version by putContentsMany().
+
+  /** Given versions, a list of objects { name, version, contents,
+   *  info }, save each as version number version of document name.
+   */
+  async putVersionsMany(versions) {
+    if (versions.length === 0) return;
+    const ops = versions.map(({name, version, contents, info={}}) => ({
+      replaceOne: {
+	filter: { doc: name, version },
+	replacement: { doc: name, version, contents, info },
+	upsert: true,
+      }
+    }));
+    await this.versionsTable.bulkWrite(ops, { ordered: false });
+  }
+
+  /** Return list of { version, info } for all versions of document
+   *  name in ascending order of version.
+   */
+  async getVersions(name) {
+    const cursor = this.versionsTable.find({ doc: name })
+      .project({ _id: 0, version: 1, info: 1 }).sort({ version: 1 });
+    return await cursor.toArray();
+  }
+
+  /** Return { version, contents, info } for version number version of
+   *  document name; null if not found.
+   */
+  async getVersion(name, version) {
+    const projection = { _id: 0, version: 1, contents: 1, info: 1 };
+    return await this.versionsTable.findOne({ doc: name, version },
+					    { projection });
+  }
+
+  /** Delete all versions of document name. */
+  async deleteVersions(name) {
+    await this.versionsTable.deleteMany({ doc: name });
+  }
+
+  /*************************** Collections ****************************/
+
+  /** Return list of { name, settings } for all collections registered
+   *  in this database (see collections.js).
+   */
+  async readCollections() {
+    const docs = await this.collectionsTable.find({}).toArray();
+    return docs.map(d => ({ name: d._id, settings: d.settings }));
+  }
+
+  /** Register collection name with settings, replacing any previous. */
+  async putCollection(name, settings) {
+    await this.collectionsTable.replaceOne({ _id: name },
+					   { _id: name, settings },
+					   { upsert: true });
+  }
+
+  /** Unregister collection name. */
+  async deleteCollection(name) {
+    await this.collectionsTable.deleteOne({ _id: name });
+  }
+
+  /*************************** Webhooks ****************************/
+
+  /** Return list of all webhooks registered in this database (see
+   *  webhooks.js).
+   */
+  async readHooks() {
+    const docs = await this.hooksTable.find({}).toArray();
+    return docs.map(d => {
+      const hook = Object.assign({ id: d._id }, d);
+      delete hook._id;
+      return hook;
+    });
+  }
+
+  /** Register webhook hook, replacing any previous one with its id. */
+  async putHook(hook) {
+    const doc = Object.assign({ _id: hook.id }, hook);
+    delete doc.id;
+    await this.hooksTable.replaceOne({ _id: hook.id }, doc, { upsert: true });
+  }
+
+  /** Unregister webhook with id. */
+  async deleteHook(id) {
+    await this.hooksTable.deleteOne({ _id: id });
+  }
+
+  /************************ Saved Searches *************************/
+
+  //Saved searches are stored as { _id: id, query, createdAt } and
+  //their matches one per document version matched.
+
+  /** Return list of all saved searches { id, query, createdAt }. */
+  async readSavedSearches() {
+    const docs = await this.savedSearchesTable.find({}).toArray();
+    return docs.map(savedSearch);
+  }
+
+  /** Return saved search id; null if not found. */
+  async getSavedSearch(id) {
+    const doc = await this.savedSearchesTable.findOne({ _id: id });
+    return (doc) ? savedSearch(doc) : null;
+  }
+
+  /** Save search, replacing any previous one with its id. */
+  async putSavedSearch(search) {
+    const doc = Object.assign({ _id: search.id }, search);
+    delete doc.id;
+    await this.savedSearchesTable.replaceOne({ _id: search.id }, doc,
+					     { upsert: true });
+  }
+
+  /** Delete saved search id along with its matches; return true iff
+   *  it existed.
+   */
+  async deleteSavedSearch(id) {
+    await this.matchesTable.deleteMany({ search: id });
+    const ret = await this.savedSearchesTable.deleteOne({ _id: id });
+    return ret.deletedCount > 0;
+  }
+
+  /** Save matches, a list of objects { search, name, version,
+   *  matchedAt, score, lines, matches } recording that document name
+   *  matched saved search search, using a single bulk write.
+   */
+  async putMatchesMany(matches) {
+    if (matches.length === 0) return;
+    await this.matchesTable.insertMany(matches.map(m => Object.assign({}, m)),
+				       { ordered: false });
+  }
+
+  /** Return list of matches of saved search id, latest first and then
+   *  by document name, restricted to options.count (default all)
+   *  matches starting at index options.start (default 0).
+   */
+  async findMatches(id, options={}) {
+    const {start=0, count} = options;
+    let cursor = this.matchesTable.find({ search: id })
+      .project({ _id: 0 }).sort({ matchedAt: -1, name: 1 }).skip(start);
+    if (count !== undefined) cursor = cursor.limit(count);
+    return await cursor.toArray();
+  }
+
+  /** Return number of matches of saved search id. */
+  async countMatches(id) {
+    return await this.matchesTable.countDocuments({ search: id });
+  }
+
+  /*************************** Migration ****************************/
+
+  /** Return list of { name, contents, info } for all documents. */
+  async allContents() {
+    const docs = await this.contentsTable.find({}).toArray();
+    return docs.map(d => ({ name: d._id, contents: d.contents, info: docInfo(d) }));
+  }
+
+  /*************************** Noise ****************************/
+
+  /** Return list of all noise words. */
+  async readNoise() {
+    const cursor = await this.noiseTable.find({});
+    const results = await cursor.toArray();
+    return results.map(r => r._id);
+  }
+
+  /** Add list of new noise words. */
+  async addNoise(words) {
+    await this.noiseTable.insertMany(words.map(n=>({_id: n})));
+  }
+
+} //class MongoStore
+
+module.exports = MongoStore;
+
+//Collection names
+const CONTENTS_TABLE = 'contents';
+const COMPLETIONS_TABLE = 'vocabulary';
+const POSTINGS_TABLE = 'postings';
+const NOISE_TABLE = 'noise';
+const VERSIONS_TABLE = 'versions';
+const COLLECTIONS_TABLE = 'collections';
+const HOOKS_TABLE = 'hooks';
+const SAVED_SEARCHES_TABLE = 'savedSearches';
+const MATCHES_TABLE = 'matches';
+
+//Collections used by earlier index formats; dropped by clearIndex().
+const LEGACY_TABLES = [ 'words', 'completions' ];
+
+const POSTINGS_INDEXES = [
+  { key: { word: 1, doc: 1 }, name: 'word_doc', unique: true },
+  { key: { doc: 1 }, name: 'doc' },
+];
+
+const VERSIONS_INDEXES = [
+  { key: { doc: 1, version: 1 }, name: 'doc_version', unique: true },
+];
+
+const MATCHES_INDEXES = [
+  { key: { search: 1, matchedAt: -1, name: 1 }, name: 'search_matchedAt_name' },
+];
+
+/** Return saved search stored as document d by putSavedSearch(). */
+function savedSearch(d) {
+  const search = Object.assign({ id: d._id }, d);
+  delete search._id;
+  return search;
+}
+
+/** Return the info saved with contents document d by
+ *  putContentsMany(), i.e. d without its _id and contents.
+ */
+function docInfo(d) {
+  const info = Object.assign({}, d);
+  delete info._id; delete info.contents;
+  return info;
+}
+
+/** Return filter matching _id's which start with prefix. */
+function prefixFilter(prefix) {
+  return { _id: { $gte: prefix, $lt: prefix + '\uffff' } };
+}
+
+//Used to prevent warning messages from mongodb.
+const MONGO_OPTIONS = {
+  useNewUrlParser: true
+};
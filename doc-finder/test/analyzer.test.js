@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it} = require('node:test');
+
+const {Analyzer, getAnalyzer} = require('../analyzer');
+
+describe('analyzer', () => {
+  const english = getAnalyzer();
+  const folding = getAnalyzer('english', { foldDiacritics: true });
+
+  it('returns words with their offsets and token positions', () => {
+    assert.deepEqual(english.analyze("The Snark's hunting! 100 times"), [
+      ['the', 0, 0], ['snark', 4, 1], ['hunt', 12, 2], ['time', 25, 4],
+    ]);
+    assert.deepEqual(english.analyze('the snark', new Set(['the'])),
+		     [['snark', 4, 1]]);
+  });
+
+  it('stems only with the english analyzer', () => {
+    assert.deepEqual(getAnalyzer('simple').analyze("hunting snark's"),
+		     [['hunting', 0, 0], ['snark', 8, 1]]);
+  });
+
+  it('case-folds beyond lower-casing', () => {
+    assert.deepEqual(words(english, 'STRASSE straße'), ['strass', 'strass']);
+    assert.deepEqual(words(english, 'ΣΟΦΟΣ σοφος σοφοσ'),
+		     ['σοφος', 'σοφος', 'σοφος']);
+  });
+
+  it('treats composed and combining-mark forms alike', () => {
+    const composed = 'café', combining = 'café';
+    assert.deepEqual(words(english, `${composed} ${combining} CAFÉ`),
+		     ['café', 'café', 'café']);
+    assert.deepEqual(words(english, 'ﬁne ＡＢＣ'), ['fine', 'abc']);
+  });
+
+  it('keeps diacritics unless folding them', () => {
+    //words with diacritics are not stemmed
+    assert.deepEqual(words(english, 'café naïve'), ['café', 'naïve']);
+    assert.deepEqual(words(folding, 'café naïve Ωμέγα ёлка'),
+		     ['cafe', 'naiv', 'ωμεγα', 'елка']);
+    //marks of other scripts are vowels which are retained
+    assert.deepEqual(words(folding, 'हिन्दी'), ['हिन्दी']);
+  });
+
+  it('keeps letters of non-Latin scripts without stemming them', () => {
+    assert.deepEqual(words(english, 'Москва москве!'), ['москва', 'москве']);
+    assert.deepEqual(words(english, 'العربية'), ['العربية']);
+  });
+
+  it('tokenizes each Han, Hiragana and Katakana character', () => {
+    assert.deepEqual(english.analyze('東京にカメラ'), [
+      ['東', 0, 0], ['京', 1, 1], ['に', 2, 2], ['カ', 3, 3], ['メ', 4, 4],
+      ['ラ', 5, 5],
+    ]);
+  });
+
+  it('returns the token at an offset', () => {
+    assert.equal(english.tokenAt('a snark! hunt', 2), 'snark!');
+    assert.equal(english.tokenAt('ab 東京', 3), '東');
+    assert.equal(english.tokenAt('ab  cd', 2), '');
+  });
+
+  it('filters prefixes without stemming them', () => {
+    assert.equal(english.filter('Hunting'), 'hunting');
+    assert.equal(english.normalize('Hunting'), 'hunt');
+  });
+
+  it('accepts analyzers and rejects unknown names', () => {
+    const analyzer = new Analyzer();
+    assert.equal(getAnalyzer(analyzer), analyzer);
+    assert.throws(() => getAnalyzer('klingon'), { code: 'BAD_ANALYZER' });
+  });
+
+});
+
+/** Return the words of text as analyzed by analyzer. */
+function words(analyzer, text) {
+  return analyzer.analyze(text).map(w => w[0]);
+}
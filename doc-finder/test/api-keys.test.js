@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+
+const ApiKeys = require('../api-keys');
+
+describe('api keys', () => {
+  let dir, keysPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    keysPath = path.join(dir, 'keys.json');
+  });
+
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  it('authenticates created keys within their scopes', async () => {
+    const apiKeys = await ApiKeys.load(keysPath);
+    const {id, key} = await apiKeys.create(['write']);
+    assert.deepEqual(await apiKeys.authenticate(key), { id, scopes: ['write'] });
+    assert.equal(await apiKeys.authenticate(`${id}.bad`), null);
+    assert.ok(ApiKeys.hasScope(['write'], 'read'));
+    assert.ok(!ApiKeys.hasScope(['write'], 'admin'));
+    assert.equal(await apiKeys.revoke(id), true);
+    assert.equal(await apiKeys.authenticate(key), null);
+  });
+
+  it('rejects a corrupt keys file when loading', async () => {
+    fs.writeFileSync(keysPath, '{ "keys": [');
+    await assert.rejects(ApiKeys.load(keysPath), { code: 'BAD_KEYS_FILE' });
+    fs.writeFileSync(keysPath, '{ "keys": [ { "id": "x" } ] }');
+    await assert.rejects(ApiKeys.load(keysPath), { code: 'BAD_KEYS_FILE' });
+  });
+
+  it('keeps using the last good keys if the file is corrupted', async () => {
+    const apiKeys = await ApiKeys.load(keysPath);
+    const {id, key} = await apiKeys.create(['read']);
+    fs.writeFileSync(keysPath, 'oops');
+    //make sure the change is seen even on coarse-grained filesystems
+    const future = new Date(Date.now() + 10000);
+    fs.utimesSync(keysPath, future, future);
+    assert.deepEqual(await apiKeys.authenticate(key), { id, scopes: ['read'] });
+    await assert.rejects(apiKeys.list(), { code: 'BAD_KEYS_FILE' });
+  });
+
+});
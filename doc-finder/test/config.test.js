@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+
+const {loadConfig, requireSettings} = require('../config');
+
+describe('config', () => {
+  let dir, configPath;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      dbUrl: 'memory://file', port: 1234, count: 7, searchRate: 60,
+    }));
+  });
+
+  after(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  it('uses defaults for unspecified settings', async () => {
+    const {config, args, warnings} = await loadConfig([], {});
+    assert.equal(config.count, 5);
+    assert.equal(config.resetOnStart, true);
+    assert.deepEqual(config.contentFiles, []);
+    assert.equal(config.dbUrl, undefined);
+    assert.deepEqual(args, []);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('lets env override the config file and flags override env', async () => {
+    const env = { DOCS_CONFIG: configPath, DOCS_PORT: '2345', DOCS_COUNT: '8' };
+    const {config, args} = await loadConfig(
+      ['--count', '9', '--fold-diacritics', 'a.txt'], env);
+    assert.equal(config.dbUrl, 'memory://file');
+    assert.equal(config.searchRate, 60);
+    assert.equal(config.port, 2345);
+    assert.equal(config.count, 9);
+    assert.equal(config.foldDiacritics, true);
+    assert.deepEqual(args, ['a.txt']);
+  });
+
+  it('reads the config file named by --config', async () => {
+    const {config} = await loadConfig([`--config=${configPath}`], {});
+    assert.equal(config.port, 1234);
+  });
+
+  it('collects repeated list flags and splits list env values', async () => {
+    const flags = ['--content-file', 'a', '--content-file=b'];
+    assert.deepEqual((await loadConfig(flags, {})).config.contentFiles, ['a', 'b']);
+    const env = { DOCS_CONTENT_FILES: 'c,d' };
+    assert.deepEqual((await loadConfig([], env)).config.contentFiles, ['c', 'd']);
+  });
+
+  it('maps the deprecated DOCS_CLEAR_TIME to resetInterval', async () => {
+    const {config, warnings} = await loadConfig([], { DOCS_CLEAR_TIME: '60' });
+    assert.equal(config.resetInterval, 60);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /DOCS_CLEAR_TIME is deprecated; use DOCS_RESET_INTERVAL/);
+    const env = { DOCS_CLEAR_TIME: '60', DOCS_RESET_INTERVAL: '30' };
+    assert.equal((await loadConfig([], env)).config.resetInterval, 30);
+  });
+
+  it('reports bad settings as BAD_CONFIG errors', async () => {
+    const bad = [
+      [ ['--no-such-flag', '1'], {}, /unknown flag --no-such-flag/ ],
+      [ ['--port'], {}, /missing value for flag --port/ ],
+      [ ['--port', '0'], {}, /bad value "0" for port in flag --port/ ],
+      [ ['--port=1', '--port=2'], {}, /flag --port may only be given once/ ],
+      [ [], { DOCS_DB_URL: 'http://x' }, /for dbUrl in environment DOCS_DB_URL/ ],
+      [ [], { DOCS_CLEAR_TIME: '-1' }, /in environment DOCS_CLEAR_TIME/ ],
+      [ ['--config', path.join(dir, 'none.json')], {}, /cannot read config file/ ],
+    ];
+    for (const [args, env, message] of bad) {
+      await assert.rejects(loadConfig(args, env), { code: 'BAD_CONFIG', message });
+    }
+  });
+
+  it('reports unknown and invalid config file keys', async () => {
+    const badPath = path.join(dir, 'bad.json');
+    fs.writeFileSync(badPath, JSON.stringify({ colour: 'red' }));
+    await assert.rejects(loadConfig(['--config', badPath], {}),
+			 { code: 'BAD_CONFIG', message: /unknown key colour/ });
+    fs.writeFileSync(badPath, JSON.stringify({ count: 'many' }));
+    await assert.rejects(loadConfig(['--config', badPath], {}),
+			 { code: 'BAD_CONFIG', message: /for count in config file/ });
+  });
+
+  it('requires settings', async () => {
+    const {config} = await loadConfig([], {});
+    assert.throws(() => requireSettings(config, ['count', 'dbUrl']),
+		  { code: 'BAD_CONFIG', message: /--db-url, DOCS_DB_URL/ });
+    requireSettings(config, ['count']);
+  });
+
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const DocFinder = require('../doc-finder');
+
+describe('doc-finder', () => {
+  let finder;
+
+  before(async () => {
+    finder = await DocFinder.create('memory://docFinderTest');
+    await finder.clear();
+  });
+
+  after(async () => { await finder.close(); });
+
+  describe('phrases', () => {
+
+    before(async () => {
+      await finder.addContents([
+	{ name: 'exact', content: 'the hunting of the snark\n' },
+	{ name: 'reversed', content: 'the snark was hunting\n' },
+	{ name: 'apart', content: 'hunting for a very long while the snark\n' },
+	{ name: 'broken', content: 'they went hunting\nthe snark\n' },
+      ]);
+    });
+
+    it('matches words occurring in phrase order', async () => {
+      const results = await finder.find('"hunting of the snark"');
+      assert.deepEqual(results.map(r => r.name), ['exact']);
+      assert.deepEqual(results[0].lines, ['the hunting of the snark\n']);
+      assert.deepEqual(results[0].matches, [[[4, 11], [12, 14], [15, 18], [19, 24]]]);
+    });
+
+    it('does not match words in the wrong order', async () => {
+      assert.deepEqual(names(await finder.find('"snark hunting"~1')),
+		       ['reversed']);
+      assert.ok(!names(await finder.find('"hunting snark"~2'))
+		.includes('reversed'));
+    });
+
+    it('only matches words within the slop of the phrase', async () => {
+      assert.deepEqual(names(await finder.find('"hunting snark"')), []);
+      assert.deepEqual(names(await finder.find('"hunting snark"~2')),
+		       ['broken', 'exact']);
+      assert.deepEqual(names(await finder.find('"hunting snark"~6')),
+		       ['apart', 'broken', 'exact']);
+    });
+
+    it('matches phrases spanning a line break', async () => {
+      const results = await finder.find('"went hunting the snark"');
+      assert.deepEqual(names(results), ['broken']);
+      assert.deepEqual(results[0].lines, ['they went hunting\n', 'the snark\n']);
+    });
+
+    it('combines phrases with other clauses', async () => {
+      assert.deepEqual(names(await finder.find('"the snark" AND NOT hunting')),
+		       []);
+      assert.deepEqual(names(await finder.find('"the snark" AND -went')),
+		       ['apart', 'exact', 'reversed'].sort());
+    });
+
+  });
+
+  describe('scoring', () => {
+
+    before(async () => {
+      await finder.clear();
+      await finder.addContents([
+	{ name: 'often', content: 'snark snark snark bell\n' },
+	{ name: 'once', content: 'snark bell bell bell\n' },
+	{ name: 'long', content: 'snark bell bell bell bell bell bell bell\n' },
+	{ name: 'rare', content: 'boojum bell\n' },
+      ]);
+    });
+
+    it('ranks by BM25 by default', async () => {
+      const results = await finder.find('snark');
+      assert.deepEqual(results.map(r => r.name), ['often', 'once', 'long']);
+      assert.ok(results[0].score > results[1].score);
+      assert.ok(results[1].score > results[2].score);
+      assert.deepEqual(await finder.find('snark', { scoring: 'bm25' }), results);
+    });
+
+    it('weights rare terms above common ones', async () => {
+      const results = await finder.find('snark boojum');
+      assert.deepEqual(results.map(r => r.name), ['rare', 'often', 'once', 'long']);
+    });
+
+    it('scores by occurrence count when scoring is count', async () => {
+      const results = await finder.find('snark', { scoring: 'count' });
+      assert.deepEqual(results.map(r => [r.name, r.score]),
+		       [['often', 3], ['long', 1], ['once', 1]]);
+    });
+
+    it('rejects unknown scorings', async () => {
+      await assert.rejects(finder.find('snark', { scoring: 'tfidf' }),
+			   { code: 'BAD_SCORING' });
+    });
+
+  });
+
+  describe('highlighting', () => {
+    const options = { highlight: ['[', ']'], hits: 'all' };
+
+    before(async () => {
+      await finder.clear();
+      await finder.addContents([
+	{ name: 'plain.txt', content: 'The Snark was a boojum\nsnark\n' },
+	{ name: 'marked.md', content: '# The *Snark*\n\nA [boojum](http://x)\n' },
+	{ name: 'marked.html',
+	  content: '<p>The <b>Sn&#97;rk</b> &amp; <i>boojum</i></p>\n' },
+      ]);
+    });
+
+    it('highlights matching words in plain text', async () => {
+      const result = (await finder.find('snark boojum', options))
+	.find(r => r.name === 'plain.txt');
+      assert.deepEqual(result.lines, ['The [Snark] was a [boojum]\n', '[snark]\n']);
+      assert.deepEqual(result.matches, [[[4, 9], [16, 22]], [[0, 5]]]);
+    });
+
+    it('maps matches in rendered Markdown back to its source', async () => {
+      const result = (await finder.find('snark boojum', options))
+	.find(r => r.name === 'marked.md');
+      assert.deepEqual(result.lines, ['# The *[Snark]*\n', 'A [[boojum]](http://x)\n']);
+      assert.deepEqual(result.matches, [[[7, 12]], [[3, 9]]]);
+      const text = (await finder.find('snark boojum',
+				      Object.assign({ format: 'text' }, options)))
+	.find(r => r.name === 'marked.md');
+      assert.deepEqual(text.lines, ['The [Snark]\n', 'A [boojum]\n']);
+      assert.deepEqual(text.matches, [[[4, 9]], [[2, 8]]]);
+    });
+
+    it('maps matches in rendered HTML back to its source', async () => {
+      const result = (await finder.find('snark boojum', options))
+	.find(r => r.name === 'marked.html');
+      assert.deepEqual(result.lines,
+		       ['<p>The <b>[Sn&#97;rk]</b> &amp; <i>[boojum]</i></p>\n']);
+      assert.deepEqual(result.matches, [[[10, 19], [33, 39]]]);
+      const text = (await finder.find('snark boojum',
+				      Object.assign({ format: 'text' }, options)))
+	.find(r => r.name === 'marked.html');
+      assert.deepEqual(text.lines, ['The [Snark] & [boojum]\n']);
+    });
+
+    it('leaves lines unchanged without highlight', async () => {
+      const result = (await finder.find('snark', { hits: 'all' }))
+	.find(r => r.name === 'plain.txt');
+      assert.deepEqual(result.lines, ['The Snark was a boojum\n', 'snark\n']);
+      assert.deepEqual(result.matches, [[[4, 9]], [[0, 5]]]);
+    });
+
+  });
+
+  describe('suggestions and fuzzy search', () => {
+
+    before(async () => {
+      await finder.clear();
+      await finder.addContents([
+	{ name: 'a', content: 'snark shark spark stark bark\n' },
+	{ name: 'b', content: 'boojum bellman beaver\n' },
+      ]);
+    });
+
+    it('suggests words within the edit-distance bound', async () => {
+      assert.deepEqual(await finder.suggest('boojun'), ['boojum']);
+      assert.deepEqual(await finder.suggest('xyzzy'), []);
+      assert.deepEqual(await finder.suggest('bellmanxyz'), []);
+    });
+
+    it('suggests nothing for terms which are indexed', async () => {
+      assert.deepEqual(await finder.suggest('snark'), []);
+      assert.deepEqual(await finder.suggest('snark bellmn'), ['bellman']);
+    });
+
+    it('orders suggestions by edit distance and then alphabetically', async () => {
+      assert.deepEqual(await finder.suggest('snrk'),
+		       ['snark', 'bark', 'shark', 'spark', 'stark']);
+      assert.deepEqual(await finder.suggest('snork'),
+		       ['snark', 'shark', 'spark', 'stark']);
+    });
+
+    it('matches variants within the fuzzy edit distance', async () => {
+      assert.equal((await finder.find('snork')).length, 0);
+      const [near] = await finder.find('snork', { fuzzy: 1, scoring: 'count' });
+      assert.deepEqual(near.matches, [[[0, 5]]]);
+      const [far] = await finder.find('snork', { fuzzy: 2, scoring: 'count' });
+      assert.deepEqual(far.matches, [[[0, 5], [6, 11], [12, 17], [18, 23]]]);
+      assert.ok(near.score < 1 && near.score < far.score);
+    });
+
+  });
+
+});
+
+/** Return the sorted names of search results. */
+function names(results) {
+  return results.map(r => r.name).sort();
+}
@@ -0,0 +1,50 @@
+'use strict';
+
+/** Helpers for tests of the web services in ../../../docs-ws.js. */
+
+const {once} = require('events');
+
+const Collections = require('../../collections');
+const docsServer = require('../../../docs-ws');
+
+/** Start a docs server on a free port for collections in the
+ *  memory database named dbName, after clearing its default
+ *  collection, using server options.  Return { collections, url,
+ *  close } where url is the base url of the server and close() stops
+ *  it and closes collections.
+ */
+async function startServer(dbName, options={}) {
+  const collections = await Collections.create(`memory://${dbName}`);
+  await collections.defaultFinder.clear();
+  const server = docsServer.serve(0, collections, options);
+  await once(server, 'listening');
+  const url = `http://localhost:${server.address().port}`;
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await collections.close();
+  };
+  return { collections, url, close };
+}
+
+/** Return { status, headers, body } for a fetch() of url with
+ *  options, where body is the parsed JSON body (text if the response
+ *  is not JSON).  A non-string options.body is sent as JSON.
+ */
+async function request(url, options={}) {
+  const init = Object.assign({}, options);
+  if (init.body !== undefined && typeof init.body !== 'string') {
+    init.body = JSON.stringify(init.body);
+    init.headers = Object.assign({ 'Content-Type': 'application/json' },
+				 init.headers);
+  }
+  const res = await fetch(url, init);
+  const text = await res.text();
+  const isJson = /json/.test(res.headers.get('content-type') || '');
+  return {
+    status: res.status, headers: res.headers,
+    body: (isJson && text) ? JSON.parse(text) : text,
+  };
+}
+
+module.exports = { startServer, request };
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it} = require('node:test');
+
+const {contentTypeOf, render} = require('../markup');
+
+describe('markup', () => {
+
+  it('determines content types from file extensions', () => {
+    assert.equal(contentTypeOf('a.HTML'), 'text/html');
+    assert.equal(contentTypeOf('dir/a.md'), 'text/markdown');
+    assert.equal(contentTypeOf('a.txt'), 'text/plain');
+    assert.equal(contentTypeOf('a'), 'text/plain');
+  });
+
+  it('renders plain text as itself', () => {
+    const rendering = render('the snark\n');
+    assert.equal(rendering.text, 'the snark\n');
+    assert.equal(rendering.sourceOffset(4), 4);
+  });
+
+  describe('html', () => {
+
+    it('drops tags, comments, scripts and styles', () => {
+      const source = '<html><head><style>p { x: 1 }</style></head>' +
+	'<body><!-- hunt --><p>The <b>snark</b></p><script>x()</script>' +
+	'<div>boojum</div></body></html>\n';
+      const rendering = render(source, 'text/html');
+      assert.equal(rendering.text, 'The snark\nboojum\n\n');
+      checkOffsets(source, rendering);
+    });
+
+    it('maps offsets within nested tags back to the source', () => {
+      const source = '<ul><li><i>a <b>very <u>snarky</u></b> hunt</i></li></ul>\n';
+      const rendering = render(source, 'text/html');
+      assert.equal(rendering.text, 'a very snarky hunt\n\n');
+      const snarky = rendering.text.indexOf('snarky');
+      assert.equal(rendering.sourceOffset(snarky), source.indexOf('snarky'));
+      assert.equal(rendering.sourceOffset(snarky + 5), source.indexOf('snarky') + 5);
+      checkOffsets(source, rendering);
+    });
+
+    it('decodes character references at the offset of their markup', () => {
+      const source = '<p>Sn&#97;rk &amp; b&#x6F;ojum &bogus; &lt;</p>\n';
+      const rendering = render(source, 'text/html');
+      assert.equal(rendering.text, 'Snark & boojum &bogus; <\n\n');
+      const {text} = rendering;
+      assert.equal(rendering.sourceOffset(text.indexOf('a')), source.indexOf('&#97;'));
+      assert.equal(rendering.sourceOffset(text.indexOf('rk')), source.indexOf('rk'));
+      assert.equal(rendering.sourceOffset(text.indexOf('&')), source.indexOf('&amp;'));
+      assert.equal(rendering.sourceOffset(text.indexOf('&bogus;')),
+		   source.indexOf('&bogus;'));
+      assert.equal(rendering.sourceOffset(text.indexOf('<')), source.indexOf('&lt;'));
+      checkOffsets(source, rendering);
+    });
+
+  });
+
+  describe('markdown', () => {
+
+    it('drops block and inline markup', () => {
+      const source = '# The *Snark*\n\n> A `boojum` and\n\n- **bell**man\n' +
+	'***\n```\n*kept*\n```\n';
+      const rendering = render(source, 'text/markdown');
+      assert.equal(rendering.text, 'The Snark\n\nA boojum and\n\nbellman\n*kept*\n');
+      checkOffsets(source, rendering);
+    });
+
+    it('keeps the text of links and images', () => {
+      const source = 'See [the snark](http://x) and ![a bell](b.png)\n';
+      const rendering = render(source, 'text/markdown');
+      assert.equal(rendering.text, 'See the snark and a bell\n');
+      assert.equal(rendering.sourceOffset(rendering.text.indexOf('snark')),
+		   source.indexOf('snark'));
+      checkOffsets(source, rendering);
+    });
+
+    it('keeps underscores within words', () => {
+      const source = 'a snake_case _word_\n';
+      assert.equal(render(source, 'text/markdown').text, 'a snake_case word\n');
+    });
+
+  });
+
+});
+
+/** Check that each character of the text of rendering which was
+ *  copied from source maps back to the same character in source and
+ *  that source offsets increase along with text offsets.
+ */
+function checkOffsets(source, rendering) {
+  const {text} = rendering;
+  let last = -1;
+  for (let i = 0; i < text.length; i++) {
+    const offset = rendering.sourceOffset(i);
+    assert.ok(offset > last, `offset of text[${i}] does not increase`);
+    const c = source[offset];
+    if (c !== '&' && c !== '<') {
+      assert.equal(c, text[i], `text[${i}] maps to a different character`);
+    }
+    last = offset;
+  }
+}
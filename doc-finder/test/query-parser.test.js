@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it} = require('node:test');
+
+const {parseQuery} = require('../query-parser');
+
+describe('query parser', () => {
+
+  it('returns null for an empty query', () => {
+    assert.equal(parseQuery(''), null);
+    assert.equal(parseQuery('  \t'), null);
+  });
+
+  it('ORs juxtaposed words', () => {
+    assert.equal(show(parseQuery('snark')), 'snark');
+    assert.equal(show(parseQuery('snark boojum')), 'OR(snark boojum)');
+    assert.equal(show(parseQuery('snark OR boojum')), 'OR(snark boojum)');
+  });
+
+  it('binds NOT tighter than AND and AND tighter than OR', () => {
+    assert.equal(show(parseQuery('a OR b AND c')), 'OR(a AND(b c))');
+    assert.equal(show(parseQuery('a AND b OR c')), 'OR(AND(a b) c)');
+    assert.equal(show(parseQuery('NOT a AND b')), 'AND(NOT(a) b)');
+    assert.equal(show(parseQuery('a AND -b c')), 'OR(AND(a NOT(b)) c)');
+  });
+
+  it('groups clauses within parentheses', () => {
+    assert.equal(show(parseQuery('(a OR b) AND c')), 'AND(OR(a b) c)');
+    assert.equal(show(parseQuery('NOT (a b)')), 'NOT(OR(a b))');
+    assert.equal(show(parseQuery('((a))')), 'a');
+  });
+
+  it('treats lower-case operators as plain words', () => {
+    assert.equal(show(parseQuery('a and b')), 'OR(a and b)');
+    assert.equal(show(parseQuery('a - b')), 'OR(a - b)');
+  });
+
+  it('parses quoted phrases with optional slop', () => {
+    const phrase = parseQuery('"hunting of the snark"');
+    assert.deepEqual(phrase,
+		     { type: 'phrase', pos: 0, text: 'hunting of the snark', slop: 0 });
+    assert.equal(parseQuery('"the snark"~3').slop, 3);
+    assert.equal(show(parseQuery('bell AND "the snark"~2')),
+		 'AND(bell "the snark"~2)');
+  });
+
+  it('records the position of each clause', () => {
+    const {children} = parseQuery('a AND  "b c"');
+    assert.deepEqual(children.map(c => c.pos), [0, 7]);
+  });
+
+  it('reports syntax errors with their position', () => {
+    const errors = [
+      [ '(a OR b', 7 ], [ 'a OR b)', 6 ], [ '()', 0 ], [ 'a AND', 5 ],
+      [ 'NOT', 3 ], [ 'OR', 0 ], [ '"unterminated', 0 ], [ 'a ("b"', 6 ],
+    ];
+    for (const [query, position] of errors) {
+      assert.throws(() => parseQuery(query), { code: 'BAD_QUERY', position },
+		    query);
+    }
+  });
+
+});
+
+/** Return a compact textual form of query tree node. */
+function show(node) {
+  switch (node.type) {
+    case 'word':
+      return node.text;
+    case 'phrase':
+      return `"${node.text}"` + ((node.slop) ? `~${node.slop}` : '');
+    case 'not':
+      return `NOT(${show(node.child)})`;
+    default:
+      return `${node.type.toUpperCase()}(${node.children.map(show).join(' ')})`;
+  }
+}
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const RateLimiter = require('../../rate-limiter');
+const {startServer, request} = require('./helpers/server');
+
+describe('rate limiter', () => {
+
+  it('allows a burst of requests and then limits them', () => {
+    const limiter = new RateLimiter(60, 3);
+    for (let i = 0; i < 3; i++) assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('a', 0), 1);
+    assert.equal(limiter.take('b', 0), 0);
+  });
+
+  it('refills buckets at the rate', () => {
+    const limiter = new RateLimiter(30, 2);
+    assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('a', 0), 2);
+    assert.equal(limiter.take('a', 1000), 1);
+    assert.equal(limiter.take('a', 2000), 0);
+    assert.equal(limiter.take('a', 2000), 2);
+    //buckets never hold more than burst tokens
+    assert.equal(limiter.take('a', 600000), 0);
+    assert.equal(limiter.take('a', 600000), 0);
+    assert.equal(limiter.take('a', 600000), 2);
+  });
+
+  it('returns the seconds until a token is available', () => {
+    const limiter = new RateLimiter(1, 1);
+    assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('a', 0), 60);
+    assert.equal(limiter.take('a', 30500), 30);
+  });
+
+  it('does not limit when the rate is 0', () => {
+    const limiter = new RateLimiter(0, 1);
+    for (let i = 0; i < 100; i++) assert.equal(limiter.take('a', 0), 0);
+  });
+
+  describe('routes', () => {
+    let server;
+
+    before(async () => {
+      server = await startServer('rateLimiterTest', {
+	rateLimits: { search: { rate: 1, burst: 2 }, write: { rate: 0, burst: 1 } },
+      });
+      await server.collections.defaultFinder.addContent('a', 'snark\n');
+    });
+
+    after(async () => { await server.close(); });
+
+    it('rejects requests over the limit with Retry-After', async () => {
+      const url = `${server.url}/docs?q=snark`;
+      assert.equal((await request(url)).status, 200);
+      assert.equal((await request(url)).status, 200);
+      const res = await request(url);
+      assert.equal(res.status, 429);
+      assert.equal(res.body.code, 'TOO_MANY_REQUESTS');
+      const retryAfter = Number(res.headers.get('retry-after'));
+      assert.ok(retryAfter > 0 && retryAfter <= 60);
+    });
+
+    it('does not limit budgets with a rate of 0', async () => {
+      for (let i = 0; i < 5; i++) {
+	const res = await request(`${server.url}/docs`, {
+	  method: 'POST', body: { name: `d${i}`, content: 'boojum\n' },
+	});
+	assert.equal(res.status, 201);
+      }
+    });
+
+  });
+
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+
+const ApiKeys = require('../api-keys');
+const {startServer, request} = require('./helpers/server');
+
+describe('authorization', () => {
+  let dir, server, keys = {};
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-auth-'));
+    const apiKeys = await ApiKeys.load(path.join(dir, 'keys.json'));
+    for (const scope of ApiKeys.SCOPES) {
+      keys[scope] = (await apiKeys.create([scope])).key;
+    }
+    server = await startServer('routesAuthTest', { apiKeys });
+    await server.collections.add('private');
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /** Return the response for path using API key. */
+  function get(path, key) {
+    const headers = (key) ? { 'X-API-Key': key } : {};
+    return request(`${server.url}${path}`, { headers });
+  }
+
+  it('requires a valid key', async () => {
+    const res = await get('/docs?q=snark');
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await get('/docs?q=snark', 'bad.key')).status, 401);
+    assert.equal((await get('/docs?q=snark', keys.read)).status, 200);
+    const bearer = await request(`${server.url}/docs?q=snark`, {
+      headers: { Authorization: `Bearer ${keys.read}` },
+    });
+    assert.equal(bearer.status, 200);
+  });
+
+  it('requires the scope of each route', async () => {
+    const add = (key) => request(`${server.url}/docs`, {
+      method: 'POST', headers: { 'X-API-Key': key },
+      body: { name: key.split('.')[0], content: 'snark\n' },
+    });
+    assert.equal((await add(keys.read)).status, 403);
+    assert.equal((await add(keys.write)).status, 201);
+    assert.equal((await add(keys.admin)).status, 201);
+    const remove = (key) => request(`${server.url}/collections/missing`, {
+      method: 'DELETE', headers: { 'X-API-Key': key },
+    });
+    assert.equal((await remove(keys.write)).status, 403);
+    assert.equal((await remove(keys.admin)).status, 404);
+  });
+
+  it('does not reveal which collections exist without a key', async () => {
+    assert.equal((await get('/collections/private/docs?q=snark')).status, 401);
+    assert.equal((await get('/collections/missing/docs?q=snark')).status, 401);
+    assert.equal((await get('/collections/missing/docs?q=snark', keys.read)).status,
+		 404);
+  });
+
+});
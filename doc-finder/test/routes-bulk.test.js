@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('bulk route', () => {
+  let server, bulkUrl;
+
+  before(async () => {
+    server = await startServer('routesBulkTest');
+    bulkUrl = `${server.url}/docs/_bulk`;
+    await server.collections.defaultFinder.addContent('old', 'snark\n');
+  });
+
+  after(async () => { await server.close(); });
+
+  it('adds documents sent as a JSON array', async () => {
+    const res = await request(bulkUrl, {
+      method: 'POST',
+      body: [ { name: 'a', content: 'boojum\n' }, { name: 'b', content: 'bell\n' } ],
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      errors: false,
+      items: [
+	{ name: 'a', status: 201, href: `${server.url}/docs/a` },
+	{ name: 'b', status: 201, href: `${server.url}/docs/b` },
+      ],
+    });
+  });
+
+  it('reports the failed items of NDJSON bodies', async () => {
+    const body = [
+      JSON.stringify({ name: 'c', content: 'beaver\n' }),
+      '{ not json',
+      JSON.stringify({ name: 'old', content: 'bellman\n' }),
+      '',
+      JSON.stringify({ name: 'd' }),
+      JSON.stringify({ name: 'e', content: 'baker\n', tags: 'x' }),
+    ].join('\n');
+    const res = await request(bulkUrl, {
+      method: 'POST', body, headers: { 'Content-Type': 'application/x-ndjson' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.errors, true);
+    const items = res.body.items;
+    assert.equal(items.length, 5);
+    assert.deepEqual(items[0], { name: 'c', status: 201, href: `${server.url}/docs/c` });
+    assert.deepEqual([items[1].line, items[1].status, items[1].code],
+		     [2, 400, 'BAD_REQUEST']);
+    assert.deepEqual([items[2].name, items[2].status, items[2].code],
+		     ['old', 409, 'EXISTS']);
+    assert.equal(items[3].status, 400);
+    assert.deepEqual([items[4].name, items[4].status], ['e', 400]);
+    //the valid items were added and the existing document kept
+    assert.equal((await request(`${server.url}/docs/c`)).status, 200);
+    assert.equal((await request(`${server.url}/docs/old`)).body.content, 'snark\n');
+  });
+
+  it('replaces existing documents when replace=true', async () => {
+    const res = await request(`${bulkUrl}?replace=true`, {
+      method: 'POST', body: [ { name: 'old', content: 'bellman\n' } ],
+    });
+    assert.deepEqual(res.body.items.map(i => i.status), [200]);
+    assert.equal((await request(`${server.url}/docs/old`)).body.content, 'bellman\n');
+  });
+
+  it('rejects bodies which are neither arrays nor NDJSON', async () => {
+    const res = await request(bulkUrl, {
+      method: 'POST', body: { name: 'a', content: 'x' },
+    });
+    assert.equal(res.status, 400);
+  });
+
+});
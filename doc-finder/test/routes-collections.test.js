@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const DocFinder = require('../doc-finder');
+const {startServer, request} = require('./helpers/server');
+
+describe('collection routes', () => {
+  let server;
+
+  before(async () => { server = await startServer('routesCollectionsTest'); });
+
+  after(async () => { await server.close(); });
+
+  it('creates and lists collections', async () => {
+    const res = await request(`${server.url}/collections`, {
+      method: 'POST',
+      body: { name: 'poems', analyzer: 'simple', count: 2, noise: 'the' },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.headers.get('location'), `${server.url}/collections/poems`);
+    const list = await request(`${server.url}/collections`);
+    assert.deepEqual(list.body.results.map(c => c.name), ['default', 'poems']);
+    assert.equal(list.body.totalCount, 2);
+    const poems = await request(`${server.url}/collections/poems`);
+    assert.deepEqual(poems.body, {
+      name: 'poems', analyzer: 'simple', count: 2,
+      href: `${server.url}/collections/poems`,
+    });
+  });
+
+  it('rejects existing and bad collection names', async () => {
+    for (const [name, status] of [['poems', 409], ['default', 409], ['no way', 400]]) {
+      const res = await request(`${server.url}/collections`, {
+	method: 'POST', body: { name },
+      });
+      assert.equal(res.status, status, name);
+    }
+    const res = await request(`${server.url}/collections`, {
+      method: 'POST', body: { name: 'x', analyzer: 'klingon' },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('keeps the documents of collections apart', async () => {
+    const add = (prefix, name, content) => request(`${server.url}${prefix}/docs`, {
+      method: 'POST', body: { name, content },
+    });
+    assert.equal((await add('/collections/poems', 'hunting', 'the hunting snark\n')).status, 201);
+    assert.equal((await add('', 'notes', 'snark notes\n')).status, 201);
+    const poems = await request(`${server.url}/collections/poems/docs?q=hunting`);
+    assert.deepEqual(poems.body.results.map(r => r.name), ['hunting']);
+    //the simple analyzer does not stem and the is a noise word
+    const stemmed = await request(`${server.url}/collections/poems/docs?q=hunt`);
+    assert.deepEqual(stemmed.body.results, []);
+    const noise = await request(`${server.url}/collections/poems/docs?q=the`);
+    assert.deepEqual(noise.body.results, []);
+    const defaults = await request(`${server.url}/docs?q=snark`);
+    assert.deepEqual(defaults.body.results.map(r => r.name), ['notes']);
+    const viaName = await request(`${server.url}/collections/default/docs?q=snark`);
+    assert.deepEqual(viaName.body.results.map(r => r.name), ['notes']);
+  });
+
+  it('uses the default count of a collection', async () => {
+    for (const name of ['a', 'b', 'c']) {
+      await request(`${server.url}/collections/poems/docs`, {
+	method: 'POST', body: { name, content: 'boojum\n' },
+      });
+    }
+    const res = await request(`${server.url}/collections/poems/docs?q=boojum`);
+    assert.equal(res.body.results.length, 2);
+    assert.equal(res.body.totalCount, 3);
+  });
+
+  it('removes collections along with their databases', async () => {
+    const res = await request(`${server.url}/collections/poems`, { method: 'DELETE' });
+    assert.equal(res.status, 204);
+    assert.equal((await request(`${server.url}/collections/poems`)).status, 404);
+    assert.equal((await request(`${server.url}/collections/poems/docs?q=snark`)).status,
+		 404);
+    const finder = await DocFinder.create('memory://routesCollectionsTest_poems');
+    assert.equal((await finder.find('hunting')).length, 0);
+    await finder.close();
+    const again = await request(`${server.url}/collections/poems`, { method: 'DELETE' });
+    assert.equal(again.status, 404);
+    const dflt = await request(`${server.url}/collections/default`, { method: 'DELETE' });
+    assert.equal(dflt.status, 400);
+  });
+
+});
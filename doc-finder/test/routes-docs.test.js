@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('document routes', () => {
+  let server;
+
+  before(async () => { server = await startServer('routesDocsTest'); });
+
+  after(async () => { await server.close(); });
+
+  /** Return the names of the documents matching query q. */
+  async function search(q) {
+    const res = await request(`${server.url}/docs?q=${encodeURIComponent(q)}`);
+    assert.equal(res.status, 200);
+    return res.body.results.map(r => r.name);
+  }
+
+  it('creates documents and rejects existing names with 409', async () => {
+    const body = { name: 'snark', content: 'the hunting of the snark\n' };
+    const res = await request(`${server.url}/docs`, { method: 'POST', body });
+    assert.equal(res.status, 201);
+    assert.equal(res.headers.get('location'), `${server.url}/docs/snark`);
+    assert.deepEqual(res.body, { href: `${server.url}/docs/snark` });
+    const again = await request(`${server.url}/docs`, { method: 'POST', body });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'EXISTS');
+    const doc = await request(`${server.url}/docs/snark`);
+    assert.equal(doc.body.content, 'the hunting of the snark\n');
+  });
+
+  it('replaces documents with PUT, dropping their stale terms', async () => {
+    const url = `${server.url}/docs/bell`;
+    const created = await request(url, {
+      method: 'PUT', body: { content: 'the bellman rang his bell\n' },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.headers.get('location'), url);
+    assert.deepEqual(await search('bellman'), ['bell']);
+    const replaced = await request(url, {
+      method: 'PUT', body: { content: 'the beaver made lace\n' },
+    });
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.headers.get('location'), null);
+    assert.deepEqual(await search('bellman'), []);
+    assert.deepEqual(await search('beaver'), ['bell']);
+    assert.equal((await request(url)).body.content, 'the beaver made lace\n');
+  });
+
+  it('rejects PUT bodies without content', async () => {
+    const res = await request(`${server.url}/docs/bell`, {
+      method: 'PUT', body: { name: 'bell' },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'BAD_REQUEST');
+  });
+
+  it('removes documents', async () => {
+    const res = await request(`${server.url}/docs/snark`, { method: 'DELETE' });
+    assert.equal(res.status, 204);
+    assert.deepEqual(await search('snark'), []);
+    assert.equal((await request(`${server.url}/docs/snark`)).status, 404);
+  });
+
+});
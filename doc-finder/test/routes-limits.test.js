@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('request limits', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer('routesLimitsTest', {
+      maxBodySize: 100, maxBulkSize: 200, maxCount: 10, maxQueryTerms: 2,
+    });
+  });
+
+  after(async () => { await server.close(); });
+
+  it('rejects bodies over the size limit with 413', async () => {
+    const res = await request(`${server.url}/docs`, {
+      method: 'POST', body: { name: 'big', content: 'snark '.repeat(20) },
+    });
+    assert.equal(res.status, 413);
+    assert.equal(res.body.code, 'PAYLOAD_TOO_LARGE');
+    const small = await request(`${server.url}/docs`, {
+      method: 'POST', body: { name: 'small', content: 'snark\n' },
+    });
+    assert.equal(small.status, 201);
+  });
+
+  it('applies the bulk size limit to bulk requests', async () => {
+    const docs = [1, 2].map(i => ({ name: `d${i}`, content: 'boojum '.repeat(8) }));
+    const res = await request(`${server.url}/docs/_bulk`, {
+      method: 'POST', body: docs,
+    });
+    assert.equal(res.status, 200);
+    const big = await request(`${server.url}/docs/_bulk`, {
+      method: 'POST', body: docs.concat(docs, docs),
+    });
+    assert.equal(big.status, 413);
+  });
+
+  it('rejects counts over the maximum', async () => {
+    const res = await request(`${server.url}/docs?q=snark&count=11`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'BAD_PARAM');
+    assert.match(res.body.message, /"count" must be at most 10/);
+    assert.equal((await request(`${server.url}/docs?q=snark&count=10`)).status, 200);
+  });
+
+  it('rejects queries with too many terms', async () => {
+    const res = await request(`${server.url}/docs?q=${encodeURIComponent('a b c')}`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'BAD_PARAM');
+  });
+
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('live search', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer('routesLiveTest');
+    const finder = server.collections.defaultFinder;
+    await finder.addContent('snark', 'the hunting of the snark\n');
+    await finder.addContent('boojum', 'the snark was a boojum\n');
+  });
+
+  after(async () => { await server.close(); });
+
+  it('streams results for the text of a session', async () => {
+    const events = await EventReader.open(`${server.url}/live?text=sn&count=1`);
+    try {
+      assert.match(events.headers.get('content-type'), /^text\/event-stream/);
+      const session = await events.next();
+      assert.equal(session.event, 'session');
+      assert.equal(session.data.href, `${server.url}/live/${session.data.id}`);
+
+      const first = await events.next();
+      assert.equal(first.event, 'results');
+      assert.equal(first.data.text, 'sn');
+      assert.deepEqual(first.data.completions, ['snark']);
+      assert.deepEqual(first.data.results, []);
+
+      const res = await request(session.data.href, {
+	method: 'POST', body: { text: 'snark b' },
+      });
+      assert.equal(res.status, 202);
+      const second = await events.next();
+      assert.equal(second.event, 'results');
+      assert.equal(second.data.text, 'snark b');
+      assert.deepEqual(second.data.completions, ['boojum']);
+      assert.equal(second.data.results.length, 1);
+      assert.equal(second.data.totalCount, 2);
+      assert.ok(second.data.links.some(l => l.rel === 'Next'));
+
+      await request(session.data.href, { method: 'POST', body: { text: '(snark ' } });
+      const error = await events.next();
+      assert.equal(error.event, 'error');
+      assert.equal(error.data.text, '(snark ');
+      assert.equal(error.data.code, 'BAD_PARAM');
+    }
+    finally {
+      events.close();
+    }
+  });
+
+  it('forgets sessions once their stream is closed', async () => {
+    const events = await EventReader.open(`${server.url}/live`);
+    const {data: {href}} = await events.next();
+    events.close();
+    for (let i = 0; i < 50; i++) {
+      const res = await request(href, { method: 'POST', body: { text: 'x' } });
+      if (res.status === 404) return;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.fail(`session ${href} still open`);
+  });
+
+  it('rejects bad requests', async () => {
+    assert.equal((await request(`${server.url}/live?count=0`)).status, 400);
+    const res = await request(`${server.url}/live/nosuchsession`, {
+      method: 'POST', body: { text: 'snark' },
+    });
+    assert.equal(res.status, 404);
+  });
+
+});
+
+/** Reader of the Server-Sent Events of a response. */
+class EventReader {
+
+  constructor(res, controller) {
+    this.headers = res.headers; this.controller = controller;
+    this.reader = res.body.getReader();
+    this.decoder = new TextDecoder(); this.buffer = '';
+  }
+
+  static async open(url) {
+    const controller = new AbortController();
+    const res = await fetch(url, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    return new EventReader(res, controller);
+  }
+
+  /** Return the next event as { event, data } with data parsed as
+   *  JSON, skipping comments.
+   */
+  async next() {
+    while (true) {
+      const end = this.buffer.indexOf('\n\n');
+      if (end >= 0) {
+	const lines = this.buffer.substring(0, end).split('\n');
+	this.buffer = this.buffer.substring(end + 2);
+	const fields = {};
+	for (const line of lines.filter(l => !l.startsWith(':'))) {
+	  const colon = line.indexOf(':');
+	  fields[line.substring(0, colon)] = line.substring(colon + 1).trim();
+	}
+	if (fields.event) return { event: fields.event, data: JSON.parse(fields.data) };
+	continue;
+      }
+      const {value, done} = await this.reader.read();
+      if (done) throw new Error('event stream ended');
+      this.buffer += this.decoder.decode(value, { stream: true });
+    }
+  }
+
+  close() { this.controller.abort(); }
+
+}
@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('metadata routes', () => {
+  let server, beforeAll;
+
+  before(async () => {
+    server = await startServer('routesMetadataTest');
+    beforeAll = new Date().toISOString();
+    const docs = [
+      { name: 'a', content: 'the snark\n', title: 'Fit the First',
+	tags: ['poem', 'carroll'], fields: { lang: 'en' } },
+      { name: 'b', content: 'a snark hunt\n', tags: ['poem'], fields: { lang: 'fr' } },
+      { name: 'c', content: 'snark notes\n' },
+    ];
+    for (const body of docs) {
+      const res = await request(`${server.url}/docs`, { method: 'POST', body });
+      assert.equal(res.status, 201);
+    }
+  });
+
+  after(async () => { await server.close(); });
+
+  /** Return the sorted names of documents found by search params. */
+  async function search(params) {
+    const res = await request(`${server.url}/docs?q=snark&${params}`);
+    assert.equal(res.status, 200);
+    return res.body.results.map(r => r.name).sort();
+  }
+
+  it('returns the metadata of documents', async () => {
+    const res = await request(`${server.url}/docs/a`);
+    assert.equal(res.status, 200);
+    const {title, tags, fields, createdAt, updatedAt} = res.body;
+    assert.deepEqual({ title, tags, fields },
+		     { title: 'Fit the First', tags: ['poem', 'carroll'],
+		       fields: { lang: 'en' } });
+    assert.ok(createdAt >= beforeAll);
+    assert.equal(updatedAt, createdAt);
+  });
+
+  it('filters searches by tags and fields', async () => {
+    assert.deepEqual(await search('tag=poem'), ['a', 'b']);
+    assert.deepEqual(await search('tag=poem&tag=carroll'), ['a']);
+    assert.deepEqual(await search('field=lang:fr'), ['b']);
+    assert.deepEqual(await search('tag=poem&field=lang:de'), []);
+  });
+
+  it('filters searches by timestamps', async () => {
+    const future = new Date(Date.now() + 60000).toISOString();
+    assert.deepEqual(await search(`createdAfter=${beforeAll}`), ['a', 'b', 'c']);
+    assert.deepEqual(await search(`createdAfter=${future}`), []);
+    assert.deepEqual(await search(`updatedBefore=${future}`), ['a', 'b', 'c']);
+  });
+
+  it('includes requested metadata in results', async () => {
+    const res = await request(`${server.url}/docs?q=snark&tag=carroll&include=title,tags`);
+    const [result] = res.body.results;
+    assert.equal(result.title, 'Fit the First');
+    assert.deepEqual(result.tags, ['poem', 'carroll']);
+    assert.equal(result.fields, undefined);
+  });
+
+  it('rejects bad metadata and filters', async () => {
+    const bad = await request(`${server.url}/docs`, {
+      method: 'POST', body: { name: 'd', content: 'x\n', tags: 'poem' },
+    });
+    assert.equal(bad.status, 400);
+    for (const params of ['field=lang', 'createdAfter=yesterday', 'include=colour']) {
+      const res = await request(`${server.url}/docs?q=snark&${params}`);
+      assert.equal(res.status, 400, params);
+      assert.equal(res.body.code, 'BAD_PARAM', params);
+    }
+  });
+
+});
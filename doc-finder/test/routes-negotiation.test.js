@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('content negotiation', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer('routesNegotiationTest');
+    const finder = server.collections.defaultFinder;
+    await finder.addContent('snark', 'the <snark> hunt\n', { title: 'Snark & Co' });
+    await finder.addContent('a,b', 'snark "quoted"\n');
+  });
+
+  after(async () => { await server.close(); });
+
+  /** Return the response for path accepting accept. */
+  function get(path, accept) {
+    return request(`${server.url}${path}`, { headers: { Accept: accept } });
+  }
+
+  it('answers with JSON by default', async () => {
+    const res = await request(`${server.url}/docs/snark`);
+    assert.match(res.headers.get('content-type'), /^application\/json/);
+    assert.equal(res.body.content, 'the <snark> hunt\n');
+  });
+
+  it('returns documents as plain text or HTML', async () => {
+    const text = await get('/docs/snark', 'text/plain');
+    assert.match(text.headers.get('content-type'), /^text\/plain/);
+    assert.equal(text.body, 'the <snark> hunt\n');
+    const html = await get('/docs/snark', 'text/html');
+    assert.match(html.headers.get('content-type'), /^text\/html/);
+    assert.match(html.body, /<title>Snark &amp; Co<\/title>/);
+    assert.match(html.body, /<pre>the &lt;snark&gt; hunt\n<\/pre>/);
+    assert.match(html.body, /href="[^"]*\/docs\/snark\/versions"/);
+  });
+
+  it('prefers the highest quality acceptable type', async () => {
+    const res = await get('/docs/snark', 'text/html;q=0.5, text/plain');
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+  });
+
+  it('returns search results as HTML with marked matches', async () => {
+    const res = await get('/docs?q=hunt', 'text/html');
+    assert.equal(res.status, 200);
+    assert.match(res.body, /<p>1 results<\/p>/);
+    assert.match(res.body, /the &lt;snark&gt; <mark>hunt<\/mark>/);
+  });
+
+  it('returns search results as CSV', async () => {
+    const res = await get('/docs?q=snark&scoring=count', 'text/csv');
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.equal(res.body,
+		 'name,score,href\r\n' +
+		 `"a,b",1,"${server.url}/docs/a,b"\r\n` +
+		 `snark,1,${server.url}/docs/snark\r\n`);
+  });
+
+  it('rejects unacceptable types with 406', async () => {
+    for (const path of ['/docs/snark', '/docs?q=snark']) {
+      const res = await get(path, 'image/png');
+      assert.equal(res.status, 406, path);
+      assert.equal(res.body.code, 'NOT_ACCEPTABLE');
+    }
+    assert.equal((await get('/docs?q=snark', 'text/plain')).status, 406);
+  });
+
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('paging links', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer('routesPagingTest');
+    const finder = server.collections.defaultFinder;
+    for (const word of ['beaver', 'bell', 'bellman', 'boojum', 'butcher']) {
+      await finder.addContent(word, `the ${word} and the snark\n`);
+    }
+  });
+
+  after(async () => { await server.close(); });
+
+  /** Return the rels of the links of the response for path. */
+  async function rels(path) {
+    const res = await request(`${server.url}${path}`);
+    assert.equal(res.status, 200, path);
+    return res.body.links.map(l => l.rel);
+  }
+
+  it('links neighbouring pages of completions', async () => {
+    assert.deepEqual(await rels('/completions?text=b&count=2'), ['Self', 'Next']);
+    assert.deepEqual(await rels('/completions?text=b&start=2&count=2'),
+		     ['Previous', 'Self', 'Next']);
+    assert.deepEqual(await rels('/completions?text=b&start=4&count=2'),
+		     ['Previous', 'Self']);
+  });
+
+  it('links neighbouring pages of search results', async () => {
+    assert.deepEqual(await rels('/docs?q=snark&count=2'), ['Self', 'Next']);
+    assert.deepEqual(await rels('/docs?q=snark&start=3&count=2'), ['Previous', 'Self']);
+  });
+
+  it('does not link pages when count is 0', async () => {
+    assert.deepEqual(await rels('/completions?text=b&count=0'), ['Self']);
+    assert.deepEqual(await rels('/completions?text=b&start=2&count=0'), ['Self']);
+    assert.deepEqual(await rels('/docs?q=snark&count=0'), ['Self']);
+  });
+
+});
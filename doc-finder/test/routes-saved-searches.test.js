@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('saved search routes', () => {
+  let server, searchesUrl;
+
+  before(async () => {
+    server = await startServer('routesSavedSearchesTest');
+    searchesUrl = `${server.url}/saved-searches`;
+    await server.collections.defaultFinder.addContent('old', 'an old snark\n');
+  });
+
+  after(async () => { await server.close(); });
+
+  /** Add or replace document name with content. */
+  async function put(name, content) {
+    const res = await request(`${server.url}/docs/${name}`, {
+      method: 'PUT', body: { content },
+    });
+    assert.ok(res.status === 200 || res.status === 201);
+  }
+
+  it('records documents matching a saved search', async () => {
+    const res = await request(searchesUrl, {
+      method: 'POST', body: { query: 'snark AND NOT boojum' },
+    });
+    assert.equal(res.status, 201);
+    const {id, href, query} = res.body;
+    assert.equal(query, 'snark AND NOT boojum');
+    assert.equal(res.headers.get('location'), href);
+    assert.equal(href, `${searchesUrl}/${id}`);
+
+    await put('a', 'the snark\n');
+    await put('b', 'the snark was a boojum\n');
+    await put('c', 'the bellman\n');
+    await put('a', 'a snark snark\n');
+
+    const matches = await request(`${href}/matches`);
+    assert.equal(matches.status, 200);
+    assert.equal(matches.body.totalCount, 2);
+    const results = matches.body.results;
+    //latest first; documents added before the search was saved do not match
+    assert.deepEqual(results.map(m => [m.name, m.version, m.score]),
+		     [['a', 2, 2], ['a', 1, 1]]);
+    assert.deepEqual(results[0].lines, ['a snark snark\n']);
+    assert.deepEqual(results[0].matches, [[[2, 7]]]);
+    assert.equal(results[0].href, `${server.url}/docs/a`);
+    assert.ok(results[0].matchedAt >= results[1].matchedAt);
+
+    const page = await request(`${href}/matches?start=1&count=1`);
+    assert.deepEqual(page.body.results.map(m => m.version), [1]);
+    assert.deepEqual(page.body.links.map(l => l.rel), ['Previous', 'Self']);
+  });
+
+  it('lists, gets and removes saved searches', async () => {
+    const list = await request(searchesUrl);
+    assert.equal(list.body.totalCount, 1);
+    const [{id, href}] = list.body.results;
+    const search = await request(href);
+    assert.equal(search.body.id, id);
+    assert.equal((await request(href, { method: 'DELETE' })).status, 204);
+    assert.equal((await request(href)).status, 404);
+    assert.equal((await request(`${href}/matches`)).status, 404);
+    assert.equal((await request(searchesUrl)).body.totalCount, 0);
+  });
+
+  it('rejects bad queries', async () => {
+    for (const query of ['(snark', '']) {
+      const res = await request(searchesUrl, { method: 'POST', body: { query } });
+      assert.equal(res.status, 400, query);
+      assert.equal(res.body.code, 'BAD_PARAM', query);
+    }
+    const res = await request(searchesUrl, { method: 'POST', body: {} });
+    assert.equal(res.status, 400);
+  });
+
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, after} = require('node:test');
+
+const {startServer, request} = require('./helpers/server');
+
+describe('version routes', () => {
+  let server, docUrl;
+
+  before(async () => {
+    server = await startServer('routesVersionsTest');
+    docUrl = `${server.url}/docs/snark`;
+    await request(`${server.url}/docs`, {
+      method: 'POST', body: { name: 'snark', content: 'just the place\n', title: 'One' },
+    });
+    await request(docUrl, {
+      method: 'PUT', body: { content: 'for a snark\n', title: 'Two' },
+    });
+  });
+
+  after(async () => { await server.close(); });
+
+  it('lists the versions of a document', async () => {
+    const res = await request(`${docUrl}/versions`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, 'snark');
+    assert.deepEqual(res.body.versions.map(v => [v.version, v.title, v.href]), [
+      [1, 'One', `${docUrl}/versions/1`], [2, 'Two', `${docUrl}/versions/2`],
+    ]);
+    assert.deepEqual(res.body.links.map(l => [l.rel, l.href]),
+		     [['Self', `${docUrl}/versions`], ['Document', docUrl]]);
+  });
+
+  it('returns a single version', async () => {
+    const res = await request(`${docUrl}/versions/1`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.content, 'just the place\n');
+    assert.equal(res.body.title, 'One');
+    assert.deepEqual(res.body.links.map(l => l.rel), ['Self', 'Document', 'Versions']);
+  });
+
+  it('reports unknown documents and versions', async () => {
+    for (const path of ['/docs/boojum/versions', '/docs/snark/versions/3',
+			'/docs/snark/versions/x']) {
+      const res = await request(`${server.url}${path}`);
+      assert.equal(res.status, 404, path);
+    }
+  });
+
+  it('restores an earlier version as a new version', async () => {
+    const res = await request(`${docUrl}/versions/1/restore`, { method: 'POST' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { href: docUrl, version: 3 });
+    const doc = await request(docUrl);
+    assert.equal(doc.body.content, 'just the place\n');
+    assert.equal(doc.body.title, 'One');
+    assert.equal(doc.body.version, 3);
+    const search = await request(`${server.url}/docs?q=place`);
+    assert.deepEqual(search.body.results.map(r => r.name), ['snark']);
+    const stale = await request(`${server.url}/docs?q=snark`);
+    assert.deepEqual(stale.body.results, []);
+    const missing = await request(`${docUrl}/versions/9/restore`, { method: 'POST' });
+    assert.equal(missing.status, 404);
+  });
+
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+const assert = require('assert').strict;
+const {describe, it, before, beforeEach, after} = require('node:test');
+
+const {openStore} = require('../stores');
+
+/** Behaviour which every storage backend (see ../stores) must share.
+ *  The suite runs against the memory store and, if DOCS_TEST_MONGO_URL
+ *  names a mongo database (which is cleared), against the mongo store.
+ */
+const DB_URLS = [ 'memory://storeTest' ]
+  .concat(process.env.DOCS_TEST_MONGO_URL || []);
+
+for (const dbUrl of DB_URLS) {
+  describe(`store ${dbUrl.replace(/\/\/.*@/, '//')}`, () => {
+    let store;
+
+    before(async () => { store = await openStore(dbUrl); });
+    beforeEach(async () => { await store.clear(); });
+    after(async () => { await store.close(); });
+
+    describe('contents', () => {
+
+      beforeEach(async () => {
+	await store.putContentsMany([
+	  { name: 'a', contents: 'snark\n', info: { length: 1, title: 'A' } },
+	  { name: 'b', contents: 'boojum bell\n', info: { length: 2 } },
+	]);
+      });
+
+      it('returns stored contents', async () => {
+	assert.equal(await store.getContents('a'), 'snark\n');
+	assert.equal(await store.getContents('x'), null);
+	const contents = await store.getContentsMany(['a', 'b', 'x']);
+	assert.deepEqual(Array.from(contents.entries()).sort(),
+			 [['a', 'snark\n'], ['b', 'boojum bell\n']]);
+	assert.deepEqual(await store.getContentsMany([]), new Map());
+      });
+
+      it('reports which documents exist', async () => {
+	assert.equal(await store.hasContents('a'), true);
+	assert.equal(await store.hasContents('x'), false);
+      });
+
+      it('returns stored info without contents', async () => {
+	const infos = await store.getDocInfos(['a', 'x']);
+	assert.deepEqual(Array.from(infos.entries()),
+			 [['a', { length: 1, title: 'A' }]]);
+      });
+
+      it('replaces contents and info', async () => {
+	await store.putContentsMany([
+	  { name: 'a', contents: 'hunting\n', info: { length: 1 } },
+	]);
+	assert.equal(await store.getContents('a'), 'hunting\n');
+	assert.deepEqual((await store.getDocInfos(['a'])).get('a'), { length: 1 });
+      });
+
+      it('computes corpus statistics', async () => {
+	assert.deepEqual(await store.corpusStats(), { docCount: 2, totalLength: 3 });
+      });
+
+      it('deletes contents', async () => {
+	assert.equal(await store.deleteContents('a'), true);
+	assert.equal(await store.deleteContents('a'), false);
+	assert.equal(await store.hasContents('a'), false);
+	assert.deepEqual(await store.corpusStats(), { docCount: 1, totalLength: 2 });
+      });
+
+      it('is emptied by clear()', async () => {
+	await store.clear();
+	assert.deepEqual(await store.corpusStats(), { docCount: 0, totalLength: 0 });
+	assert.deepEqual(await store.allContents(), []);
+      });
+
+    });
+
+    describe('postings', () => {
+
+      beforeEach(async () => {
+	await store.putPostingsMany([
+	  { name: 'a', index: { snark: [2, 0, [0, 6], [0, 1]] } },
+	  { name: 'b', index: { snark: [1, 4, [4], [1]], bell: [1, 0, [0], [0]] } },
+	]);
+      });
+
+      it('finds postings for words', async () => {
+	const postings = sortPostings(await store.findPostings(['snark', 'bell', 'x']));
+	assert.deepEqual(postings, [
+	  { word: 'bell', doc: 'b', info: [1, 0, [0], [0]] },
+	  { word: 'snark', doc: 'a', info: [2, 0, [0, 6], [0, 1]] },
+	  { word: 'snark', doc: 'b', info: [1, 4, [4], [1]] },
+	]);
+	assert.deepEqual(await store.findPostings([]), []);
+      });
+
+      it('lists the words of documents', async () => {
+	const docWords = await store.docWordsMany(['a', 'b', 'x']);
+	assert.deepEqual(docWords.get('a'), ['snark']);
+	assert.deepEqual(docWords.get('b').sort(), ['bell', 'snark']);
+	assert.deepEqual(docWords.get('x'), []);
+      });
+
+      it('replaces postings', async () => {
+	await store.putPostingsMany([
+	  { name: 'a', index: { snark: [1, 3, [3], [0]] } },
+	]);
+	const postings = await store.findPostings(['snark']);
+	assert.deepEqual(postings.find(p => p.doc === 'a').info, [1, 3, [3], [0]]);
+      });
+
+      it('removes postings', async () => {
+	await store.removePostingsMany([
+	  { name: 'b', words: ['snark', 'bell'] }, { name: 'a', words: [] },
+	]);
+	assert.deepEqual(await store.findPostings(['bell']), []);
+	assert.deepEqual(sortPostings(await store.findPostings(['snark']))
+			 .map(p => p.doc), ['a']);
+      });
+
+    });
+
+    describe('completions', () => {
+
+      beforeEach(async () => {
+	await store.updateCompletions({ snark: 2, bell: 1, boojum: 3, beaver: 1 });
+      });
+
+      it('finds completions alphabetically', async () => {
+	assert.deepEqual(await store.findCompletions('b'),
+			 ['beaver', 'bell', 'boojum']);
+	assert.deepEqual(await store.findCompletions('b', { start: 1, count: 1 }),
+			 ['bell']);
+	assert.deepEqual(await store.findCompletions('x'), []);
+      });
+
+      it('finds completions by frequency', async () => {
+	assert.deepEqual(await store.findCompletions('b', { rank: 'frequency' }),
+			 ['boojum', 'beaver', 'bell']);
+      });
+
+      it('counts and lists completions', async () => {
+	assert.equal(await store.countCompletions('be'), 2);
+	assert.deepEqual((await store.allCompletions()).sort(),
+			 ['beaver', 'bell', 'boojum', 'snark']);
+      });
+
+      it('drops words no longer in any document', async () => {
+	await store.updateCompletions({ bell: -1, snark: -1, beaver: 2 });
+	assert.deepEqual(await store.findCompletions('', { rank: 'frequency' }),
+			 ['beaver', 'boojum', 'snark']);
+      });
+
+    });
+
+    describe('noise', () => {
+
+      it('reads added noise words', async () => {
+	assert.deepEqual(await store.readNoise(), []);
+	await store.addNoise(['the', 'a']);
+	await store.addNoise(['of']);
+	assert.deepEqual((await store.readNoise()).sort(), ['a', 'of', 'the']);
+      });
+
+    });
+
+    describe('drop', () => {
+
+      it('removes the entire database', async () => {
+	const otherUrl = dbUrl.replace(/(\?.*)?$/, '_drop$1');
+	const other = await openStore(otherUrl);
+	await other.putContentsMany([ { name: 'a', contents: 'x\n', info: {} } ]);
+	await other.putCollection('c', {});
+	await other.drop();
+	await other.close();
+	const reopened = await openStore(otherUrl);
+	assert.equal(await reopened.hasContents('a'), false);
+	assert.deepEqual(await reopened.readCollections(), []);
+	await reopened.drop();
+	await reopened.close();
+      });
+
+    });
+
+    describe('versions', () => {
+
+      beforeEach(async () => {
+	await store.putVersionsMany([
+	  { name: 'a', version: 2, contents: 'two\n', info: { version: 2 } },
+	  { name: 'a', version: 1, contents: 'one\n', info: { version: 1 } },
+	  { name: 'b', version: 1, contents: 'b\n', info: { version: 1 } },
+	]);
+      });
+
+      it('lists versions in order', async () => {
+	assert.deepEqual(await store.getVersions('a'), [
+	  { version: 1, info: { version: 1 } },
+	  { version: 2, info: { version: 2 } },
+	]);
+	assert.deepEqual(await store.getVersions('x'), []);
+      });
+
+      it('returns a single version', async () => {
+	assert.deepEqual(await store.getVersion('a', 2),
+			 { version: 2, contents: 'two\n', info: { version: 2 } });
+	assert.equal(await store.getVersion('a', 3), null);
+      });
+
+      it('deletes the versions of a document', async () => {
+	await store.deleteVersions('a');
+	assert.deepEqual(await store.getVersions('a'), []);
+	assert.equal((await store.getVersions('b')).length, 1);
+      });
+
+    });
+
+  });
+}
+
+/** Return postings sorted by word and then document. */
+function sortPostings(postings) {
+  return postings.slice()
+    .sort((p1, p2) => p1.word.localeCompare(p2.word) || p1.doc.localeCompare(p2.doc));
+}
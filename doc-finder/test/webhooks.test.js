@@ -0,0 +1,177 @@
+'use strict';
+
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const http = require('http');
+const {describe, it, before, afterEach, after} = require('node:test');
+
+const Collections = require('../collections');
+const Webhooks = require('../webhooks');
+
+//Milliseconds before the first retry of a failed delivery.
+const RETRY_DELAY = 50;
+const MAX_ATTEMPTS = 3;
+
+describe('webhooks', () => {
+  let collections, webhooks, receiver, url;
+
+  before(async () => {
+    collections = await Collections.create('memory://webhookTest');
+    await collections.defaultFinder.clear();
+    webhooks = await Webhooks.create(collections, {
+      maxAttempts: MAX_ATTEMPTS, retryDelay: RETRY_DELAY,
+    });
+    receiver = await Receiver.start();
+    url = `http://localhost:${receiver.port}/hook`;
+  });
+
+  afterEach(async () => {
+    for (const {id} of webhooks.list()) await webhooks.remove(id);
+    receiver.reset();
+  });
+
+  after(async () => {
+    await receiver.close();
+    await collections.close();
+  });
+
+  it('signs deliveries using the secret of the webhook', async () => {
+    const hook = await webhooks.add({ url, events: ['add'], secret: 'shh' });
+    assert.equal(hook.secret, 'shh');
+    await collections.defaultFinder.addContent('a', 'snark\n');
+    const [request] = await receiver.wait(1);
+    const expected = crypto.createHmac('sha256', 'shh')
+      .update(request.body).digest('hex');
+    assert.equal(request.headers['x-docs-signature'], `sha256=${expected}`);
+    assert.equal(request.headers['x-docs-event'], 'add');
+    const body = JSON.parse(request.body);
+    assert.equal(request.headers['x-docs-delivery'], body.id);
+    assert.equal(body.event, 'add');
+    assert.equal(body.collection, 'default');
+    assert.deepEqual(body.data, { names: ['a'] });
+  });
+
+  it('only delivers the events of a webhook', async () => {
+    await webhooks.add({ url, events: ['noise'] });
+    await collections.defaultFinder.addContent('b', 'boojum\n');
+    await collections.defaultFinder.addNoiseWords('the');
+    const requests = await receiver.wait(1);
+    assert.equal(JSON.parse(requests[0].body).event, 'noise');
+  });
+
+  it('retries with backoff after a non-2xx response', async () => {
+    receiver.statuses = [500, 503];
+    const hook = await webhooks.add({ url, events: ['remove'] });
+    await collections.defaultFinder.addContent('c', 'bellman\n');
+    await collections.defaultFinder.removeContent('c');
+    const requests = await receiver.wait(3);
+    assert.equal(requests[0].body, requests[2].body);
+    assert.ok(requests[1].time - requests[0].time >= RETRY_DELAY - 5);
+    assert.ok(requests[2].time - requests[1].time >= 2*RETRY_DELAY - 5);
+    const [delivery] = await waitDone(webhooks, hook.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.event, 'remove');
+    assert.equal(delivery.id, JSON.parse(requests[0].body).id);
+    assert.deepEqual(delivery.attempts.map(a => a.status), [500, 503, 204]);
+  });
+
+  it('records failed deliveries after the last attempt', async () => {
+    receiver.statuses = new Array(MAX_ATTEMPTS).fill(500);
+    const hook = await webhooks.add({ url, events: ['clear'] });
+    await collections.defaultFinder.clear();
+    const [delivery] = await waitDone(webhooks, hook.id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, MAX_ATTEMPTS);
+    assert.equal(receiver.requests.length, MAX_ATTEMPTS);
+  });
+
+  it('rejects bad webhooks', async () => {
+    const specs = [
+      { url: 'ftp://localhost/x' }, { url: 'not a url' },
+      { url, events: ['nothing'] }, { url, events: [] },
+      { url, collections: 'default' }, { url, secret: '' },
+    ];
+    for (const spec of specs) {
+      await assert.rejects(webhooks.add(spec), { code: 'BAD_HOOK' });
+    }
+  });
+
+  it('forgets removed webhooks', async () => {
+    const hook = await webhooks.add({ url });
+    assert.deepEqual(webhooks.list().map(h => h.id), [hook.id]);
+    assert.equal(webhooks.get(hook.id).secret, undefined);
+    await webhooks.remove(hook.id);
+    assert.throws(() => webhooks.get(hook.id), { code: 'NOT_FOUND' });
+    assert.throws(() => webhooks.deliveries(hook.id), { code: 'NOT_FOUND' });
+  });
+
+});
+
+/** Return the delivery log of webhook id once none of its deliveries
+ *  is pending.
+ */
+async function waitDone(webhooks, id) {
+  for (let i = 0; i < 100; i++) {
+    const deliveries = webhooks.deliveries(id);
+    if (deliveries.length > 0 && deliveries.every(d => d.status !== 'pending')) {
+      return deliveries;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`deliveries of webhook ${id} still pending`);
+}
+
+/** Local HTTP server which records the requests it receives.  It
+ *  responds using the successive statuses in this.statuses and with
+ *  204 once they are used up.
+ */
+class Receiver {
+
+  constructor(server) {
+    this.server = server; this.port = server.address().port;
+    this.reset();
+    server.on('request', (req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+	this.requests.push({ headers: req.headers, body, time: Date.now() });
+	res.statusCode = this.statuses.shift() || 204;
+	res.end();
+	this.waiters = this.waiters.filter(w => !w());
+      });
+    });
+  }
+
+  static start() {
+    const server = http.createServer();
+    return new Promise(resolve => {
+      server.listen(0, 'localhost', () => resolve(new Receiver(server)));
+    });
+  }
+
+  reset() {
+    this.requests = []; this.statuses = []; this.waiters = [];
+  }
+
+  /** Return the requests received once there are at least n. */
+  wait(n, timeout=2000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+	reject(new Error(`received ${this.requests.length} of ${n} requests`));
+      }, timeout);
+      const waiter = () => {
+	if (this.requests.length < n) return false;
+	clearTimeout(timer);
+	resolve(this.requests.slice());
+	return true;
+      };
+      if (!waiter()) this.waiters.push(waiter);
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+}
@@ -0,0 +1,268 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const DocFinder = require('./doc-finder');
+
+/** Webhooks notified by HTTP POST requests of the change events of
+ *  Collections (see collections.js).  Webhooks are registered in the
+ *  default database of the collections.  The body of each delivery is
+ *  the JSON object { id, event, collection, time, data } where id
+ *  identifies the delivery, event, collection and data are those of
+ *  the change event and time is when it occurred.
+ *
+ *  The body is signed using HMAC-SHA256 with the secret of the
+ *  webhook; the signature is sent in the X-Docs-Signature header as
+ *  sha256=HEX_DIGEST.  A delivery which does not get a 2xx response
+ *  is retried with exponential backoff.  The last MAX_LOG_SIZE
+ *  deliveries of each webhook are kept in memory as its delivery log.
+ */
+class Webhooks {
+
+  constructor(store, hooks, options) {
+    this.store = store; this.hooks = hooks;
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.retryDelay =
+      (options.retryDelay !== undefined) ? options.retryDelay : RETRY_DELAY;
+    this.timeout = options.timeout || TIMEOUT;
+    this.logs = new Map();
+  }
+
+  /** This factory method returns a new instance of Webhooks for the
+   *  webhooks registered in the default database of collections, an
+   *  instance of Collections, which delivers the change events of
+   *  collections.  options.maxAttempts (the number of attempts made
+   *  for each delivery), options.retryDelay (the milliseconds before
+   *  the first retry, doubled for each further retry) and
+   *  options.timeout (the milliseconds allowed for each attempt)
+   *  override MAX_ATTEMPTS, RETRY_DELAY and TIMEOUT.
+   */
+  static async create(collections, options={}) {
+    const store = collections.defaultFinder.store;
+    const hooks = new Map((await store.readHooks()).map(h => [h.id, h]));
+    const webhooks = new Webhooks(store, hooks, options);
+    collections.on('change', change => webhooks.notify(change));
+    return webhooks;
+  }
+
+  /** Register and return a new webhook as per get(), except that it
+   *  also has its secret.  spec is an object with properties:
+   *
+   *     url:         the http or https url to which deliveries are
+   *                  posted.
+   *     events:      optional list of the events (see DocFinder) to
+   *                  deliver; all events if not specified.
+   *     collections: optional list of the names of the collections
+   *                  whose events are delivered; all if not specified.
+   *     secret:      optional string used for signing deliveries; a
+   *                  random secret is generated if not specified.
+   *
+   *  If spec is invalid, throw an Error object with property code set
+   *  to 'BAD_HOOK'.
+   */
+  async add(spec) {
+    const hook = checkSpec(spec);
+    hook.id = crypto.randomBytes(ID_BYTES).toString('hex');
+    hook.secret = spec.secret || crypto.randomBytes(SECRET_BYTES).toString('hex');
+    hook.createdAt = new Date().toISOString();
+    await this.store.putHook(hook);
+    this.hooks.set(hook.id, hook);
+    return Object.assign(this.get(hook.id), { secret: hook.secret });
+  }
+
+  /** Return list of all webhooks as per get(), oldest first. */
+  list() {
+    return Array.from(this.hooks.values())
+      .sort((h1, h2) => h1.createdAt.localeCompare(h2.createdAt))
+      .map(publicHook);
+  }
+
+  /** Return webhook id: an object { id, url, events, createdAt }
+   *  which also has collections if the webhook is restricted to some
+   *  collections.  If not found, throw an Error object with property
+   *  code set to 'NOT_FOUND'.
+   */
+  get(id) {
+    return publicHook(this._hook(id));
+  }
+
+  /** Unregister webhook id; pending retries of its deliveries are
+   *  abandoned.  If not found, throw an Error object with property
+   *  code set to 'NOT_FOUND'.
+   */
+  async remove(id) {
+    this._hook(id);
+    await this.store.deleteHook(id);
+    this.hooks.delete(id);
+    this.logs.delete(id);
+  }
+
+  /** Return the delivery log of webhook id, oldest delivery first.
+   *  Each delivery is an object { id, event, collection, time,
+   *  status, attempts } where status is 'pending', 'delivered' or
+   *  'failed' and attempts lists { time, status } or { time, error }
+   *  for each attempt, giving the HTTP status of the response or the
+   *  reason there was none.  If not found, throw an Error object with
+   *  property code set to 'NOT_FOUND'.
+   */
+  deliveries(id) {
+    this._hook(id);
+    return JSON.parse(JSON.stringify(this.logs.get(id) || []));
+  }
+
+  /** Deliver change event { collection, event, data } to all
+   *  webhooks which want it.
+   */
+  notify(change) {
+    const {collection, event, data} = change;
+    const time = new Date().toISOString();
+    for (const hook of this.hooks.values()) {
+      if (hook.events.indexOf(event) < 0) continue;
+      if (hook.collections && hook.collections.indexOf(collection) < 0) continue;
+      const id = crypto.randomBytes(ID_BYTES).toString('hex');
+      const body = JSON.stringify({ id, event, collection, time, data });
+      const delivery = {
+	id, event, collection, time, status: 'pending', attempts: [],
+      };
+      const log = this.logs.get(hook.id) || [];
+      log.push(delivery);
+      if (log.length > MAX_LOG_SIZE) log.shift();
+      this.logs.set(hook.id, log);
+      this._deliver(hook, delivery, body);
+    }
+  }
+
+  /** Post body of delivery to hook, retrying on failure, and record
+   *  the attempts in delivery.
+   */
+  async _deliver(hook, delivery, body) {
+    const signature = crypto.createHmac('sha256', hook.secret)
+      .update(body).digest('hex');
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'X-Docs-Event': delivery.event,
+      'X-Docs-Delivery': delivery.id,
+      'X-Docs-Signature': `sha256=${signature}`,
+    };
+    for (let i = 0; i < this.maxAttempts; i++) {
+      if (i > 0) {
+	await sleep(this.retryDelay * 2**(i - 1));
+	if (!this.hooks.has(hook.id)) return;
+      }
+      const attempt = { time: new Date().toISOString() };
+      try {
+	attempt.status = await post(hook.url, body, headers, this.timeout);
+      }
+      catch (err) {
+	attempt.error = err.message;
+      }
+      delivery.attempts.push(attempt);
+      if (attempt.status >= 200 && attempt.status < 300) {
+	delivery.status = 'delivered';
+	return;
+      }
+    }
+    delivery.status = 'failed';
+  }
+
+  /** Return stored webhook id; throw a 'NOT_FOUND' error if none. */
+  _hook(id) {
+    const hook = this.hooks.get(id);
+    if (!hook) {
+      const err = new Error(`webhook ${id} not found`);
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+    return hook;
+  }
+
+} //class Webhooks
+
+module.exports = Webhooks;
+
+//Default number of attempts for each delivery, milliseconds before
+//the first retry and milliseconds allowed for each attempt.
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY = 1000;
+const TIMEOUT = 10000;
+
+//Number of deliveries kept in the log of each webhook.
+const MAX_LOG_SIZE = 100;
+
+//Number of random bytes in ids and generated secrets.
+const ID_BYTES = 8;
+const SECRET_BYTES = 24;
+
+/** Return new webhook { url, events, collections? } for spec as
+ *  documented for add(); throw a 'BAD_HOOK' error if it is invalid.
+ */
+function checkSpec(spec) {
+  if (!spec || typeof spec !== 'object') throw hookError('webhook must be an object');
+  let url;
+  try {
+    url = new URL(spec.url);
+  }
+  catch (err) {
+    throw hookError(`bad webhook url ${spec.url}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw hookError('webhook url must be http or https');
+  }
+  const hook = { url: url.href, events: DocFinder.EVENTS.slice() };
+  if (spec.events !== undefined) {
+    if (!Array.isArray(spec.events) || spec.events.length === 0 ||
+	!spec.events.every(e => DocFinder.EVENTS.indexOf(e) >= 0)) {
+      throw hookError('webhook events must be some of ' + DocFinder.EVENTS.join(', '));
+    }
+    hook.events = Array.from(new Set(spec.events));
+  }
+  if (spec.collections !== undefined) {
+    if (!Array.isArray(spec.collections) ||
+	!spec.collections.every(c => typeof c === 'string')) {
+      throw hookError('webhook collections must be a list of collection names');
+    }
+    hook.collections = Array.from(new Set(spec.collections));
+  }
+  if (spec.secret !== undefined &&
+      (typeof spec.secret !== 'string' || spec.secret === '')) {
+    throw hookError('webhook secret must be a non-empty string');
+  }
+  return hook;
+}
+
+/** Return stored webhook without its secret. */
+function publicHook(hook) {
+  const { id, url, events, collections, createdAt } = hook;
+  return Object.assign({ id, url, events },
+		       (collections) ? { collections } : {},
+		       { createdAt });
+}
+
+function hookError(message) {
+  const err = new Error(message);
+  err.code = 'BAD_HOOK';
+  return err;
+}
+
+/** Post body with headers to url; return the HTTP status of the
+ *  response.  Reject if there is no response within timeout ms.
+ */
+function post(url, body, headers, timeout) {
+  const client = (url.startsWith('https:')) ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method: 'POST', headers, timeout }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error(`no response in ${timeout} ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
@@ -1,35 +1,128 @@
 'use strict';
 
 const cors = require('cors');
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 const process = require('process');
+const RateLimiter = require('./rate-limiter');
 const url = require('url');
 const queryString = require('querystring');
 
 const OK = 200;
 const CREATED = 201;
+const ACCEPTED = 202;
+const NO_CONTENT = 204;
 const BAD_REQUEST = 400;
+const UNAUTHORIZED = 401;
+const FORBIDDEN = 403;
 const NOT_FOUND = 404;
+const NOT_ACCEPTABLE = 406;
 const CONFLICT = 409;
+const PAYLOAD_TOO_LARGE = 413;
+const TOO_MANY_REQUESTS = 429;
 const SERVER_ERROR = 500;
 
 
-//Main URLs
+//Main URLs; all but COLLECTIONS and HOOKS are relative to a collection
+const COLLECTIONS = '/collections';
+const COLLECTION = `${COLLECTIONS}/:coll`;
+const HOOKS = '/hooks';
+const HOOK = `${HOOKS}/:hook`;
 const DOCS = '/docs';
+const BULK = `${DOCS}/_bulk`;
+const VERSIONS = `${DOCS}/:id/versions`;
 const COMPLETIONS = '/completions';
+const LIVE = '/live';
+const NOISE = '/noise';
+const SAVED_SEARCHES = '/saved-searches';
+const SAVED_SEARCH = `${SAVED_SEARCHES}/:search`;
 
-//Default value for count parameter
+//Content type and default maximum size of bulk request bodies
+const NDJSON_TYPE = 'application/x-ndjson';
+const BULK_LIMIT = '10mb';
+
+//Content types of documents which may be sent as raw request bodies
+const DOC_TYPES = ['text/plain', 'text/html', 'text/markdown'];
+
+//Valid values for format parameter
+const FORMATS = ['source', 'text'];
+
+//Content type of live search event streams, interval between the
+//comments which keep idle streams open and random bytes in session ids
+const EVENT_STREAM_TYPE = 'text/event-stream';
+const LIVE_HEARTBEAT_MS = 15000;
+const LIVE_ID_BYTES = 16;
+
+//Default maximum size of other request bodies
+const BODY_LIMIT = '100kb';
+
+//Default value for count parameter unless overridden by serve()
 const COUNT = 5;
 
+//Default maximum values for count parameter and search query terms
+const MAX_COUNT = 100;
+const MAX_QUERY_TERMS = 32;
+
+//Valid values for hits parameter
+const HITS = ['first', 'all'];
+
+//Optional document metadata accepted in request bodies
+const DOC_META = ['title', 'contentType', 'tags', 'fields'];
+
+//Search parameters which may only be given once
+const SINGLE_SEARCH_PARAMS = ['q', 'start', 'count', 'scoring', 'hits', 'context', 'fuzzy', 'highlight', 'include', 'format'];
+
+//Search parameters which filter results by document timestamps
+const TIME_FILTERS = ['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'];
+
+//Request header which may carry an API key instead of Authorization
+const API_KEY_HEADER = 'X-API-Key';
+
 /**
- * Listen on port for incoming requests.  Use docFinder instance
- *  of DocFinder to access document collection methods.
+ * Listen on port for incoming requests.  Use collections, an instance
+ *  of Collections, to access the document collections.  The routes
+ *  for documents, completions, noise words and saved searches of a
+ *  collection NAME are under /collections/NAME; those of the default
+ *  collection are also available without that prefix.
+ *
+ *  options.count, if specified, is the default number of results
+ *  per page instead of COUNT.  options.maxCount, options.maxQueryTerms,
+ *  options.maxBodySize and options.maxBulkSize override the limits
+ *  MAX_COUNT, MAX_QUERY_TERMS, BODY_LIMIT and BULK_LIMIT.
+ *
+ *  options.rateLimits optionally has properties search and write,
+ *  each an object { rate, burst } giving the requests per minute and
+ *  burst size allowed per client (API key, or IP address for
+ *  anonymous requests) for read and write routes respectively.
+ *  Clients exceeding these get 429 errors with a Retry-After header.
+ *
+ *  If options.apiKeys is an ApiKeys instance, requests must present
+ *  a key having the scope required by the route, either as a bearer
+ *  token in the Authorization header or in the X-API-Key header.
+ *  If options.anonymousRead is true, routes requiring only the read
+ *  scope can also be accessed without a key.
+ *
+ *  options.webhooks is the Webhooks instance managed by the routes
+ *  under /hooks, which require the admin scope.
  */
-function serve(port, docFinder) {
+function serve(port, collections, options = {}) {
   const app = express();
   app.locals.port = port;
-  app.locals.finder = docFinder;
+  app.locals.collections = collections;
+  app.locals.count = options.count || COUNT;
+  app.locals.maxCount = options.maxCount || MAX_COUNT;
+  app.locals.maxQueryTerms = options.maxQueryTerms || MAX_QUERY_TERMS;
+  app.locals.maxBodySize = options.maxBodySize || BODY_LIMIT;
+  app.locals.maxBulkSize = options.maxBulkSize || BULK_LIMIT;
+  app.locals.rateLimiters = {};
+  for (const [sBudget, oLimit] of Object.entries(options.rateLimits || {})) {
+    app.locals.rateLimiters[sBudget] = new RateLimiter(oLimit.rate, oLimit.burst);
+  }
+  app.locals.apiKeys = options.apiKeys;
+  app.locals.anonymousRead = !!options.anonymousRead;
+  app.locals.liveSessions = new Map();
+  app.locals.webhooks = options.webhooks;
   setupRoutes(app);
 
   const server = app.listen(port, async function () {
@@ -43,12 +136,53 @@ module.exports = {serve};
 
 function setupRoutes(app) {
   app.use(cors());            //for security workaround in future projects
-  app.use(bodyParser.json()); //all incoming bodies are JSON
+  //middleware for routes which read and write documents
+  const aRead = [authorize(app, 'read'), limitRate(app, 'search')];
+  const aWrite = [authorize(app, 'write'), limitRate(app, 'write')];
+  const aAdmin = [authorize(app, 'admin'), limitRate(app, 'write')];
+
+  //body parsers follow the above in each route so that bodies are only
+  //read for authorized requests within their rate limits
+  const sBulkLimit = app.locals.maxBulkSize;
+  const aBulkBody = [bodyParser.json({limit: sBulkLimit}),
+                     bodyParser.text({type: NDJSON_TYPE, limit: sBulkLimit})];
+  const aBody = [bodyParser.text({type: DOC_TYPES, limit: app.locals.maxBodySize}), //raw documents
+                 bodyParser.json({limit: app.locals.maxBodySize})]; //all other incoming bodies are JSON
 
-  app.get(DOCS, searchContent(app));
-  app.post(DOCS, addContent(app));
-  app.get(`${DOCS}/:id`, getContent(app));
-  app.get(COMPLETIONS, getCompletions(app));
+  app.get(COLLECTIONS, aRead, listCollections(app));
+  app.post(COLLECTIONS, aAdmin, aBody, createCollection(app));
+  app.get(COLLECTION, aRead, getCollection(app));
+  app.delete(COLLECTION, aAdmin, removeCollection(app));
+
+  app.get(HOOKS, aAdmin, listHooks(app));
+  app.post(HOOKS, aAdmin, aBody, createHook(app));
+  app.get(HOOK, aAdmin, getHook(app));
+  app.delete(HOOK, aAdmin, removeHook(app));
+  app.get(`${HOOK}/deliveries`, aAdmin, getHookDeliveries(app));
+
+  const router = express.Router();
+  router.get(DOCS, aRead, searchContent(app));
+  router.post(DOCS, aWrite, aBody, addContent(app));
+  router.post(BULK, aWrite, aBulkBody, bulkAddContent(app));
+  router.get(`${DOCS}/:id`, aRead, getContent(app));
+  router.put(`${DOCS}/:id`, aWrite, aBody, replaceContent(app));
+  router.delete(`${DOCS}/:id`, aWrite, removeContent(app));
+  router.get(VERSIONS, aRead, getVersions(app));
+  router.get(`${VERSIONS}/:n`, aRead, getVersion(app));
+  router.post(`${VERSIONS}/:n/restore`, aWrite, restoreVersion(app));
+  router.get(COMPLETIONS, aRead, getCompletions(app));
+  router.get(LIVE, aRead, openLiveSearch(app));
+  router.post(`${LIVE}/:session`, aRead, aBody, updateLiveSearch(app));
+  router.post(NOISE, aWrite, aBody, addNoise(app));
+  router.get(SAVED_SEARCHES, aRead, listSavedSearches(app));
+  router.post(SAVED_SEARCHES, aWrite, aBody, createSavedSearch(app));
+  router.get(SAVED_SEARCH, aRead, getSavedSearch(app));
+  router.delete(SAVED_SEARCH, aWrite, removeSavedSearch(app));
+  router.get(`${SAVED_SEARCH}/matches`, aRead, getSavedSearchMatches(app));
+  //authenticate before looking up the collection so that clients
+  //without a key cannot discover which collections exist
+  app.use(COLLECTION, authorize(app, 'read'), useCollection(app), router);
+  app.use(useCollection(app), router); //default collection
 
   app.use(doErrors()); //must be last; setup for server errors
 }
@@ -58,52 +192,718 @@ function setupRoutes(app) {
 /**
  * @param app
  * @returns {*}
- * Get Document data by document name.
+ * Get Document data and metadata by document name.
  */
 function getContent(app) {
   return errorWrap(async function (req, res) {
     const id = req.params.id;
 
     try {
-      const sContentData = await app.locals.finder.docContent(id);
-      let oResult = {
+      if (req.query.hasOwnProperty('format') && FORMATS.indexOf(req.query.format) < 0) {
+        throw _fGetErrorDetailsData("BAD_PARAM", 'format');
+      }
+      const sContentData = await req.finder.docContent(id, {format: req.query.format});
+      const oInfo = await req.finder.docInfo(id);
+      let oResult = Object.assign({
         name: req.params.id,
-        content: sContentData,
+        content: sContentData
+      }, oInfo, {
         links: _fGetLinksArray(req)
+      });
+      _fSendFormats(res, {
+        'application/json': () => res.json(oResult),
+        'text/plain': () => res.send(sContentData),
+        'text/html': () => res.send(_fGetDocHtml(oResult, req))
+      });
+    }
+    catch (err) {
+      if (!err.isDomain) {
+        err = Object.assign(err, {
+          isDomain: true,
+          errorCode: 'NOT_FOUND',
+          message: `doc ${id} not found`,
+        });
+      }
+      const mapped = mapError(err);
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+/**
+ * @param app
+ * @returns {*}
+ * Search a key in all documents in database and get result.
+ */
+function searchContent(app) {
+  return errorWrap(async function (req, res) {
+    const q = req.query || {};
+    try {
+      let oValidityData = _fCheckSearchQueryValidity(q, app.locals.maxCount);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      let oFindOptions = _fGetFindOptions(q);
+      oFindOptions.format = q.format;
+      oFindOptions.maxTerms = app.locals.maxQueryTerms;
+      oFindOptions.start = +(q.start || 0);
+      oFindOptions.count = +(q.count || req.count);
+      const results = await req.finder.find(q.q, oFindOptions);
+      let oResult = _fGetSearchListResult(results, req, results.totalCount);
+      if (results.totalCount === 0) {
+        oResult.suggestions = await req.finder.suggest(q.q);
       }
+      _fSendFormats(res, {
+        'application/json': () => res.json(oResult),
+        'text/html': () => res.send(_fGetSearchHtml(oResult, req)),
+        'text/csv': () => res.send(_fGetSearchCsv(oResult))
+      });
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Add new document using post method.  The body is either JSON or the
+ * raw document having one of DOC_TYPES, named by the name query
+ * parameter.
+ */
+function addContent(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const oReqBody = _fGetDocBody(req, req.query.name);
+
+      let oValidityData = _fCheckRequestBodyValidity(oReqBody);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      await req.finder.createContent(oReqBody.name, oReqBody.content, _fGetDocMeta(oReqBody));
+
+      let sPathName = _fGetPathName(req) + '/' + oReqBody.name;
+      let sHost = req.headers.host;
+      let sNewDocLink = _fGenerateLink(sHost, sPathName);
+
+      res.append("Location", sNewDocLink);
+      res.status(CREATED);
+      res.json({"href": sNewDocLink});
+
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Add many documents given as a JSON array or as NDJSON (one JSON
+ * document per line) of {name, content} objects, optionally with
+ * title, tags and fields metadata.  Existing documents
+ * are reported as conflicts unless the replace=true query parameter
+ * is given.  Responds with the status of each item.
+ */
+function bulkAddContent(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      let oParsed = _fParseBulkBody(req.body);
+      if (!oParsed.isValid) {
+        throw oParsed;
+      }
+
+      let aItems = oParsed.items;
+      let aDocs = aItems.filter(oItem => !oItem.error).map(oItem => oItem.doc);
+      const options = {replace: req.query.replace === 'true'};
+      const aResults = await req.finder.addContents(aDocs, options);
+
+      let sHost = req.headers.host;
+      let aStatuses = [];
+      for (const oItem of aItems) {
+        if (oItem.error) {
+          aStatuses.push(oItem.error);
+          continue;
+        }
+        const oResult = aResults.shift();
+        if (oResult.status === 'error') {
+          aStatuses.push({
+            name: oResult.name,
+            status: ERROR_MAP[oResult.code] || BAD_REQUEST,
+            code: oResult.code,
+            message: oResult.message
+          });
+        }
+        else {
+          aStatuses.push({
+            name: oResult.name,
+            status: oResult.status === 'created' ? CREATED : OK,
+            href: _fGenerateLink(sHost, `${req.baseUrl}${DOCS}/${oResult.name}`)
+          });
+        }
+      }
+
+      res.json({
+        errors: aStatuses.some(oStatus => oStatus.status >= BAD_REQUEST),
+        items: aStatuses
+      });
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Replace content of document by document name, creating it if it
+ * does not exist.
+ */
+function replaceContent(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const oReqBody = _fGetDocBody(req);
+
+      let oValidityData = _fCheckRequestBodyValidity(oReqBody, ['content']);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      const id = req.params.id;
+      const isNew = await req.finder.replaceContent(id, oReqBody.content, _fGetDocMeta(oReqBody));
+
+      let sDocLink = _fGenerateLink(req.headers.host, _fGetPathName(req));
+      if (isNew) {
+        res.append("Location", sDocLink);
+      }
+      res.status(isNew ? CREATED : OK);
+      res.json({"href": sDocLink});
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Remove document by document name along with its index entries.
+ */
+function removeContent(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      await req.finder.removeContent(req.params.id);
+      res.status(NO_CONTENT);
+      res.end();
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * List the versions of a document by document name, oldest first.
+ */
+function getVersions(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const id = req.params.id;
+      const aVersions = await req.finder.docVersions(id);
+      let sHost = req.headers.host;
+      aVersions.forEach(function (oVersion) {
+        oVersion.href = _fGenerateLink(sHost, `${req.baseUrl}${DOCS}/${id}/versions/${oVersion.version}`);
+      });
+      res.json({
+        name: id,
+        versions: aVersions,
+        links: _fGetVersionLinks(req, id)
+      });
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Get content and metadata of a single version of a document.
+ */
+function getVersion(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const id = req.params.id;
+      const oVersion = await req.finder.docVersion(id, _fGetVersionNumber(req.params.n));
+      let oResult = Object.assign({name: id}, oVersion, {
+        links: _fGetVersionLinks(req, id).concat({
+          rel: "Versions",
+          href: _fGenerateLink(req.headers.host, `${req.baseUrl}${DOCS}/${id}/versions`)
+        })
+      });
       res.json(oResult);
     }
     catch (err) {
-      err = Object.assign(err, {
-        isDomain: true,
-        errorCode: 'NOT_FOUND',
-        message: `doc ${id} not found`,
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Restore a document to an earlier version; this is recorded as a
+ * new version of the document.
+ */
+function restoreVersion(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const id = req.params.id;
+      const iVersion = await req.finder.restoreVersion(id, _fGetVersionNumber(req.params.n));
+      res.json({
+        href: _fGenerateLink(req.headers.host, `${req.baseUrl}${DOCS}/${id}`),
+        version: iVersion
       });
-      const mapped = mapError(err);
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Return a JSON list containing the completions of the last word in TEXT,
+ * paginated by start and count and ordered as per rank=alpha|frequency.
+ */
+function getCompletions(app) {
+  return errorWrap(async function (req, res) {
+    const q = req.query || {};
+    try {
+      let oValidityData = _fCheckCompletionQueryValidity(q, app.locals.maxCount);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      const finder = req.finder;
+      let iStart = +(q.start || 0);
+      let iCount = +(q.count || req.count);
+      const results = await finder.complete(q.text, {rank: q.rank, start: iStart, count: iCount});
+      const iTotalCount = await finder.countCompletions(q.text);
+      res.json({
+        results: results,
+        totalCount: iTotalCount,
+        links: _fGetLinksArray(req, iTotalCount, 'text')
+      });
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+/**
+ * @param app
+ * @returns {*}
+ * Open a live search session: an event stream on which the results of
+ * searching for the text posted to the session are pushed.  The first
+ * event, session, gives the href to which {text} bodies are posted.
+ * Each results event has the text, the completions of its last word
+ * and the first page of search results for its complete words (as
+ * for searchContent()); a search which fails gives an error event.
+ * A search still running when newer text arrives is cancelled.  The
+ * optional query parameters are the initial text and count.
+ */
+function openLiveSearch(app) {
+  return errorWrap(async function (req, res) {
+    const q = req.query || {};
+    try {
+      let oValidityData = _fCheckLiveQueryValidity(q, app.locals.maxCount);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      const oSessions = app.locals.liveSessions;
+      const sId = crypto.randomBytes(LIVE_ID_BYTES).toString('hex');
+      const sHref = _fGenerateLink(req.headers.host, `${req.baseUrl}${LIVE}/${sId}`);
+      const oSession = {
+        id: sId,
+        href: sHref,
+        finder: req.finder,
+        res: res,
+        headers: req.headers,
+        baseUrl: req.baseUrl,
+        count: +(q.count || req.count),
+        controller: null
+      };
+      oSessions.set(sId, oSession);
+
+      res.status(OK);
+      res.set({'Content-Type': EVENT_STREAM_TYPE, 'Cache-Control': 'no-cache', 'Connection': 'keep-alive'});
+      res.flushHeaders();
+      _fSendEvent(res, 'session', {id: sId, href: sHref});
+      const heartbeat = setInterval(() => res.write(':\n\n'), LIVE_HEARTBEAT_MS);
+      res.on('close', function () {
+        clearInterval(heartbeat);
+        if (oSession.controller) {
+          oSession.controller.abort();
+        }
+        oSessions.delete(sId);
+      });
+
+      if (q.hasOwnProperty('text')) {
+        _fRunLiveSearch(app, oSession, q.text);
+      }
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+/**
+ * @param app
+ * @returns {*}
+ * Post the current text of a live search session; its results are
+ * pushed on the event stream of the session.
+ */
+function updateLiveSearch(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const oSession = app.locals.liveSessions.get(req.params.session);
+      if (!oSession || oSession.finder !== req.finder) {
+        throw Object.assign(new Error(`live search session ${req.params.session} not found`), {code: 'NOT_FOUND'});
+      }
+
+      const oReqBody = req.body;
+      let oValidityData = _fCheckRequestBodyValidity(oReqBody, ['text']);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      _fRunLiveSearch(app, oSession, String(oReqBody.text));
+      res.status(ACCEPTED);
+      res.json({"href": oSession.href});
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+/**
+ * @param app
+ * @returns {*}
+ * Add noise words given as the noise property of the body to the
+ * collection.
+ */
+function addNoise(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const oReqBody = req.body;
+
+      let oValidityData = _fCheckRequestBodyValidity(oReqBody, ['noise']);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      await req.finder.addNoiseWords(String(oReqBody.noise));
+      res.status(NO_CONTENT);
+      res.end();
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
       res.status(mapped.status).json(mapped);
     }
   });
 }
 
+
+/**
+ * @param app
+ * @returns {*}
+ * List the saved searches of the collection, oldest first.
+ */
+function listSavedSearches(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const aSearches = (await req.finder.savedSearches())
+        .map(oSearch => _fGetSavedSearchData(oSearch, req));
+      res.json({
+        results: aSearches,
+        totalCount: aSearches.length
+      });
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Save the search query given as the query property of the body; it
+ * is evaluated against every document subsequently added to or
+ * replaced in the collection.
+ */
+function createSavedSearch(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const oReqBody = req.body;
+
+      let oValidityData = _fCheckRequestBodyValidity(oReqBody, ['query']);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      const oSearch = await req.finder.addSavedSearch(String(oReqBody.query));
+
+      let oResult = _fGetSavedSearchData(oSearch, req);
+      res.append("Location", oResult.href);
+      res.status(CREATED);
+      res.json(oResult);
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Get a saved search by id.
+ */
+function getSavedSearch(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const oSearch = await req.finder.savedSearch(req.params.search);
+      res.json(_fGetSavedSearchData(oSearch, req));
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Remove a saved search by id along with its matches.
+ */
+function removeSavedSearch(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      await req.finder.removeSavedSearch(req.params.search);
+      res.status(NO_CONTENT);
+      res.end();
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Return the documents which matched a saved search, latest first,
+ * paginated by start and count.  Each has the lines containing the
+ * matching words as for searchContent().
+ */
+function getSavedSearchMatches(app) {
+  return errorWrap(async function (req, res) {
+    const q = req.query || {};
+    try {
+      let oValidityData = _fCheckPageQueryValidity(q, app.locals.maxCount);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      let iStart = +(q.start || 0);
+      let iCount = +(q.count || req.count);
+      const aMatches = await req.finder.savedSearchMatches(req.params.search, {start: iStart, count: iCount});
+      let sHost = req.headers.host;
+      aMatches.forEach(function (oMatch) {
+        oMatch.href = _fGenerateLink(sHost, `${req.baseUrl}${DOCS}/${oMatch.name}`);
+      });
+      res.json({
+        results: Array.from(aMatches),
+        totalCount: aMatches.totalCount,
+        links: _fGetLinksArray(req, aMatches.totalCount, null)
+      });
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * List all collections with their settings, default collection first.
+ */
+function listCollections(app) {
+  return errorWrap(async function (req, res) {
+    let sHost = req.headers.host;
+    const aCollections = app.locals.collections.list()
+      .map(oCollection => _fGetCollectionData(oCollection, sHost));
+    res.json({
+      results: aCollections,
+      totalCount: aCollections.length
+    });
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Get settings of a collection by collection name.
+ */
+function getCollection(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const oCollection = app.locals.collections.get(req.params.coll);
+      res.json(_fGetCollectionData(oCollection, req.headers.host));
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Create a new collection with body properties name, optional settings
+ * analyzer, foldDiacritics and count and optional noise words text noise.
+ */
+function createCollection(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      const oReqBody = req.body;
+
+      let oValidityData = _fCheckRequestBodyValidity(oReqBody, ['name']);
+      if (!oValidityData.isValid) {
+        throw oValidityData;
+      }
+
+      let oSettings = {
+        analyzer: oReqBody.analyzer,
+        foldDiacritics: oReqBody.foldDiacritics,
+        count: oReqBody.count
+      };
+      let sNoise = (oReqBody.noise === undefined) ? '' : String(oReqBody.noise);
+      const oCollection = await app.locals.collections.add(oReqBody.name, oSettings, sNoise);
+
+      let sLink = _fGetCollectionData(oCollection, req.headers.host).href;
+      res.append("Location", sLink);
+      res.status(CREATED);
+      res.json({"href": sLink});
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * Remove a collection by collection name along with all its documents.
+ */
+function removeCollection(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      await app.locals.collections.remove(req.params.coll);
+      res.status(NO_CONTENT);
+      res.end();
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+
+/**
+ * @param app
+ * @returns {*}
+ * List all webhooks, oldest first.
+ */
+function listHooks(app) {
+  return errorWrap(async function (req, res) {
+    let sHost = req.headers.host;
+    const aHooks = app.locals.webhooks.list()
+      .map(oHook => _fGetHookData(oHook, sHost));
+    res.json({
+      results: aHooks,
+      totalCount: aHooks.length
+    });
+  });
+}
+
+
 /**
  * @param app
  * @returns {*}
- * Search a key in all documents in database and get result.
+ * Get a webhook by id.
  */
-function searchContent(app) {
+function getHook(app) {
   return errorWrap(async function (req, res) {
-    const q = req.query || {};
     try {
-      let oValidityData = _fCheckSearchQueryValidity(q);
-      if (!oValidityData.isValid) {
-        throw oValidityData;
-      }
-
-      const results = await app.locals.finder.find(q.q);
-      res.json(_fGetSearchListResult(results, req));
+      const oHook = app.locals.webhooks.get(req.params.hook);
+      res.json(_fGetHookData(oHook, req.headers.host));
     }
     catch (err) {
-      const mapped = mapError(err);
+      const mapped = mapError(_fToDomainError(err));
       res.status(mapped.status).json(mapped);
     }
   });
@@ -113,31 +913,54 @@ function searchContent(app) {
 /**
  * @param app
  * @returns {*}
- * Add new document using post method
+ * Register a webhook with body properties url and optional events,
+ * collections and secret.  The response is the only one which
+ * includes the secret used for signing deliveries.
  */
-function addContent(app) {
+function createHook(app) {
   return errorWrap(async function (req, res) {
     try {
       const oReqBody = req.body;
 
-      let oValidityData = _fCheckRequestBodyValidity(oReqBody);
+      let oValidityData = _fCheckRequestBodyValidity(oReqBody, ['url']);
       if (!oValidityData.isValid) {
         throw oValidityData;
       }
 
-      const results = await app.locals.finder.addContent(oReqBody.name, oReqBody.content);
-
-      let sPathName = req._parsedUrl.pathname + '/' + oReqBody.name;
-      let sHost = req.headers.host;
-      let sNewDocLink = _fGenerateLink(sHost, sPathName);
+      const oHook = await app.locals.webhooks.add({
+        url: oReqBody.url,
+        events: oReqBody.events,
+        collections: oReqBody.collections,
+        secret: oReqBody.secret
+      });
 
-      res.append("Location", sNewDocLink);
+      let oResult = _fGetHookData(oHook, req.headers.host);
+      res.append("Location", oResult.href);
       res.status(CREATED);
-      res.json({"href": sNewDocLink});
+      res.json(oResult);
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
 
+/**
+ * @param app
+ * @returns {*}
+ * Remove a webhook by id.
+ */
+function removeHook(app) {
+  return errorWrap(async function (req, res) {
+    try {
+      await app.locals.webhooks.remove(req.params.hook);
+      res.status(NO_CONTENT);
+      res.end();
     }
     catch (err) {
-      const mapped = mapError(err);
+      const mapped = mapError(_fToDomainError(err));
       res.status(mapped.status).json(mapped);
     }
   });
@@ -147,27 +970,124 @@ function addContent(app) {
 /**
  * @param app
  * @returns {*}
- * Return a JSON list containing all the completions of the last word in TEXT
+ * Get the delivery log of a webhook by id, oldest delivery first.
  */
-function getCompletions(app) {
+function getHookDeliveries(app) {
   return errorWrap(async function (req, res) {
-    const q = req.query || {};
     try {
-      const results = await app.locals.finder.complete(q.text);
-      res.json(results);
+      const aDeliveries = app.locals.webhooks.deliveries(req.params.hook);
+      res.json({
+        results: aDeliveries,
+        totalCount: aDeliveries.length
+      });
     }
     catch (err) {
-      const mapped = mapError(err);
+      const mapped = mapError(_fToDomainError(err));
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+/** Return middleware which selects the collection named by the coll
+ *  path parameter (the default collection if there is none) for the
+ *  following handlers: its DocFinder as req.finder, its name as
+ *  req.collection and its page size as req.count.  Requests for an
+ *  unknown collection get a 404 error.
+ */
+function useCollection(app) {
+  return errorWrap(async function (req, res, next) {
+    try {
+      const oCollections = app.locals.collections;
+      const sName = req.params.coll || oCollections.constructor.DEFAULT_COLLECTION;
+      const oCollection = oCollections.get(sName);
+      req.finder = oCollection.finder;
+      req.collection = oCollection.name;
+      req.count = oCollection.settings.count || app.locals.count;
+      next();
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
       res.status(mapped.status).json(mapped);
     }
   });
 }
 
+/** Return middleware which only lets through requests presenting an
+ *  API key having scope sScope (or an anonymous request for the read
+ *  scope when anonymous reads are allowed); other requests get a 401
+ *  or 403 error.  Does nothing if the server has no API keys.  The
+ *  id and scopes of the key are made available as req.apiKey.
+ */
+function authorize(app, sScope) {
+  return errorWrap(async function (req, res, next) {
+    const oApiKeys = app.locals.apiKeys;
+    if (!oApiKeys) {
+      return next();
+    }
+    try {
+      const sKey = _fGetRequestKey(req);
+      if (sKey === undefined) {
+        if (sScope === 'read' && app.locals.anonymousRead) {
+          return next();
+        }
+        throw _fGetErrorDetailsData("UNAUTHORIZED", 'missing');
+      }
+
+      const oKey = await oApiKeys.authenticate(sKey);
+      if (!oKey) {
+        throw _fGetErrorDetailsData("UNAUTHORIZED", 'invalid');
+      }
+      if (!oApiKeys.constructor.hasScope(oKey.scopes, sScope)) {
+        throw _fGetErrorDetailsData("FORBIDDEN", sScope);
+      }
+      req.apiKey = oKey;
+      next();
+    }
+    catch (err) {
+      const mapped = mapError(_fToDomainError(err));
+      if (mapped.status === UNAUTHORIZED) {
+        res.append("WWW-Authenticate", 'Bearer');
+      }
+      res.status(mapped.status).json(mapped);
+    }
+  });
+}
+
+/** Return middleware which charges each request to the rate limit
+ *  for sBudget of its client, identified by its API key if it has
+ *  one and by its IP address otherwise.  Requests exceeding the limit
+ *  get a 429 error with a Retry-After header giving the seconds until
+ *  the client can retry.  Does nothing if there is no limit for
+ *  sBudget.
+ */
+function limitRate(app, sBudget) {
+  return errorWrap(async function (req, res, next) {
+    const oLimiter = app.locals.rateLimiters[sBudget];
+    if (!oLimiter) {
+      return next();
+    }
+    const sClient = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    const iRetryAfter = oLimiter.take(sClient);
+    if (iRetryAfter === 0) {
+      return next();
+    }
+    const mapped = mapError(_fGetErrorDetailsData("TOO_MANY_REQUESTS", sBudget));
+    res.append("Retry-After", String(iRetryAfter));
+    res.status(mapped.status).json(mapped);
+  });
+}
+
 /** Return error handler which ensures a server error results in nice
- *  JSON sent back to client with details logged on console.
+ *  JSON sent back to client with details logged on console.  Request
+ *  bodies which are too large are reported as 413 errors.
  */
 function doErrors(app) {
   return async function (err, req, res, next) {
+    if (err.type === 'entity.too.large') {
+      const mapped = mapError(_fGetErrorDetailsData("PAYLOAD_TOO_LARGE", err.limit));
+      res.status(mapped.status).json(mapped);
+      return;
+    }
     res.status(SERVER_ERROR);
     res.json({code: 'SERVER_ERROR', message: err.message});
     console.error(err);
@@ -202,22 +1122,44 @@ function baseUrl(req, path = '/') {
 /*************************** Mapping Errors ****************************/
 
 const ERROR_MAP = {
+  UNAUTHORIZED: UNAUTHORIZED,
+  FORBIDDEN: FORBIDDEN,
+  NOT_ACCEPTABLE: NOT_ACCEPTABLE,
+  PAYLOAD_TOO_LARGE: PAYLOAD_TOO_LARGE,
+  TOO_MANY_REQUESTS: TOO_MANY_REQUESTS,
   EXISTS: CONFLICT,
   NOT_FOUND: NOT_FOUND
 }
 
+/** Map from DocFinder error codes to domain error codes. */
+const FINDER_ERROR_CODES = {
+  BAD_COLLECTION: 'BAD_REQUEST',
+  BAD_DOC: 'BAD_REQUEST',
+  BAD_FILTER: 'BAD_PARAM',
+  BAD_FORMAT: 'BAD_PARAM',
+  BAD_HOOK: 'BAD_REQUEST',
+  BAD_INCLUDE: 'BAD_PARAM',
+  BAD_QUERY: 'BAD_PARAM',
+  BAD_RANK: 'BAD_PARAM',
+  BAD_SCORING: 'BAD_PARAM',
+  EXISTS: 'EXISTS',
+  NOT_FOUND: 'NOT_FOUND',
+  TOO_MANY_TERMS: 'BAD_PARAM'
+}
+
 /** Map domain/internal errors into suitable HTTP errors.  Return'd
  *  object will have a "status" property corresponding to HTTP status
- *  code.
+ *  code.  Domain errors which locate the problem within a parameter
+ *  also have a "position" property.
  */
 function mapError(err) {
   console.error(err);
   return err.isDomain
-    ? {
+    ? Object.assign({
       status: (ERROR_MAP[err.errorCode] || BAD_REQUEST),
       code: err.errorCode,
       message: err.message
-    }
+    }, (err.position !== undefined) ? {position: err.position} : {})
     : {
       status: SERVER_ERROR,
       code: 'INTERNAL',
@@ -226,44 +1168,78 @@ function mapError(err) {
 }
 
 /*************************** Private APIs ****************************/
-function _fGenerateLink(sHost, sPathname, sSearchKey, iStart = 0, iCount = COUNT) {
+/** Return the full path of oRequestData, including the prefix of any
+ *  collection router handling it.
+ */
+function _fGetPathName(oRequestData) {
+  return url.parse(oRequestData.originalUrl).pathname;
+}
+
+/** Return link to sPathname; it has the paging parameters start and
+ *  count along with oParams if it has search key sSearchKey as its
+ *  sKeyParam parameter, or if sKeyParam is null for pages of results
+ *  which have no key parameter.
+ */
+function _fGenerateLink(sHost, sPathname, sSearchKey, iStart = 0, iCount = COUNT, oParams = {}, sKeyParam = 'q') {
   let sQueryData = "";
-  if (!!sSearchKey) {
-    sQueryData = `?q=${sSearchKey.replace(/ /g, "%20")}&start=${iStart}&count=${iCount}`;
+  if (!!sSearchKey || sKeyParam === null) {
+    sQueryData = (sKeyParam === null) ? '?' : `?${sKeyParam}=${encodeURIComponent(sSearchKey)}&`;
+    sQueryData += `start=${iStart}&count=${iCount}`;
+    for (const [sKey, value] of Object.entries(oParams)) {
+      for (const sValue of [].concat(value)) {
+        sQueryData += `&${encodeURIComponent(sKey)}=${encodeURIComponent(sValue)}`;
+      }
+    }
   }
   return `http://${sHost}${sPathname}` + sQueryData;
 }
 
-function _fGetLinksArray(oRequestData, iTotalCount) {
-  let sPathName = oRequestData._parsedUrl.pathname;
+/** Return query parameters of oQueryData other than those which
+ *  _fGenerateLink() builds itself, so that links preserve them.
+ */
+function _fGetOtherParams(oQueryData, sKeyParam = 'q') {
+  let oParams = {};
+  for (const [sKey, sValue] of Object.entries(oQueryData)) {
+    if ([sKeyParam, 'start', 'count'].indexOf(sKey) < 0) {
+      oParams[sKey] = sValue;
+    }
+  }
+  return oParams;
+}
+
+function _fGetLinksArray(oRequestData, iTotalCount, sKeyParam = 'q') {
+  let sPathName = _fGetPathName(oRequestData);
   let sHost = oRequestData.headers.host;
 
   let oQueryData = oRequestData.query;
-  let sSearchKey = oQueryData.q;
+  let sSearchKey = oQueryData[sKeyParam];
   let iStart = +(oQueryData.start || 0);
-  let iCount = +(oQueryData.count || COUNT);
+  let iCount = +(oQueryData.count || oRequestData.count);
+  let oParams = _fGetOtherParams(oQueryData, sKeyParam);
+  //with count=0 there are no neighbouring pages to link to
+  let bPaged = (!!sSearchKey || sKeyParam === null) && iCount > 0;
 
   let aLinks = [];
   if (iTotalCount > 0) {
-    if (sSearchKey && iStart > 0) {
+    if (bPaged && iStart > 0) {
       let iPrevStart = iStart - iCount;
       iPrevStart = iPrevStart < 0 ? 0 : iPrevStart;
       aLinks.push({
         rel: "Previous",
-        href: _fGenerateLink(sHost, sPathName, sSearchKey, iPrevStart, iCount)
+        href: _fGenerateLink(sHost, sPathName, sSearchKey, iPrevStart, iCount, oParams, sKeyParam)
       });
     }
 
     aLinks.push({
       rel: "Self",
-      href: _fGenerateLink(sHost, sPathName, sSearchKey, iStart, iCount)
+      href: _fGenerateLink(sHost, sPathName, sSearchKey, iStart, iCount, oParams, sKeyParam)
     });
 
-    if (sSearchKey && iStart + iCount < iTotalCount) {
+    if (bPaged && iStart + iCount < iTotalCount) {
       let iNextStart = iStart + iCount;
       aLinks.push({
         rel: "Next",
-        href: _fGenerateLink(sHost, sPathName, sSearchKey, iNextStart, iCount)
+        href: _fGenerateLink(sHost, sPathName, sSearchKey, iNextStart, iCount, oParams, sKeyParam)
       });
     }
   }
@@ -271,54 +1247,478 @@ function _fGetLinksArray(oRequestData, iTotalCount) {
   return aLinks;
 }
 
-function _fGetSearchListResult(aResult, oRequestData) {
+/** Return search response for aResult, the page of results requested
+ *  by oRequestData out of iTotalCount results in all.
+ */
+function _fGetSearchListResult(aResult, oRequestData, iTotalCount) {
   let oFinalRes = {};
 
-  let sPathName = oRequestData._parsedUrl.pathname;
+  let sPathName = _fGetPathName(oRequestData);
   let sHost = oRequestData.headers.host;
-  let oQueryData = oRequestData.query;
-  let iStart = +(oQueryData.start || 0);
-  let iCount = +(oQueryData.count || COUNT);
-  let aSlicedRes = aResult.slice(iStart, iStart + iCount);
-  aSlicedRes.forEach(function (oElement) {
+  let aPageRes = Array.from(aResult);
+  aPageRes.forEach(function (oElement) {
     let sLocalPathName = sPathName + `/${oElement.name}`;
     oElement.href = _fGenerateLink(sHost, sLocalPathName);
   })
-  oFinalRes.results = aSlicedRes;
+  oFinalRes.results = aPageRes;
 
-  oFinalRes.totalCount = aResult.length;
-  oFinalRes.links = _fGetLinksArray(oRequestData, aResult.length);
+  oFinalRes.totalCount = iTotalCount;
+  oFinalRes.links = _fGetLinksArray(oRequestData, iTotalCount);
 
   return oFinalRes;
 }
 
-function _fCheckSearchQueryValidity(oQuery) {
+/** Search for sText in live search oSession after cancelling any
+ *  search for earlier text, and push the results, or the error, as an
+ *  event on the stream of the session unless it has been cancelled.
+ */
+async function _fRunLiveSearch(app, oSession, sText) {
+  if (oSession.controller) {
+    oSession.controller.abort();
+  }
+  const controller = oSession.controller = new AbortController();
+  try {
+    const oData = await _fGetLiveResult(app, oSession, sText, controller.signal);
+    if (!controller.signal.aborted) {
+      _fSendEvent(oSession.res, 'results', oData);
+    }
+  }
+  catch (err) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    const mapped = mapError(_fToDomainError(err));
+    _fSendEvent(oSession.res, 'error', Object.assign({text: sText}, mapped));
+  }
+}
+
+/** Return the data of the results event for sText in oSession.  The
+ *  last word of sText is only completed, not searched for, unless it
+ *  is followed by a space.
+ */
+async function _fGetLiveResult(app, oSession, sText, signal) {
+  const finder = oSession.finder;
+  const iCount = oSession.count;
+  const aCompletions = await finder.complete(sText, {count: iCount});
+  let sWords = /[\p{L}\p{M}]$/u.test(sText) ? sText.replace(/\S+$/, '') : sText;
+
+  const oRequestData = {
+    headers: oSession.headers,
+    originalUrl: `${oSession.baseUrl}${DOCS}`,
+    query: {q: sWords, count: String(iCount)},
+    count: iCount
+  };
+  const options = {start: 0, count: iCount, maxTerms: app.locals.maxQueryTerms, signal: signal};
+  const results = await finder.find(sWords, options);
+  let oResult = _fGetSearchListResult(results, oRequestData, results.totalCount);
+  if (results.totalCount === 0 && sWords.trim() !== '') {
+    oResult.suggestions = await finder.suggest(sWords);
+  }
+  return Object.assign({text: sText, completions: aCompletions}, oResult);
+}
+
+/** Write event sEvent with JSON data oData to event stream res. */
+function _fSendEvent(res, sEvent, oData) {
+  res.write(`event: ${sEvent}\ndata: ${JSON.stringify(oData)}\n\n`);
+}
+
+/** Respond using the function in oFormats, which maps content types
+ *  to functions sending a response of that type, for the type most
+ *  acceptable to the request; JSON is listed first so that it is used
+ *  when any type is acceptable.  Respond with a 406 error if none of
+ *  the types are acceptable.
+ */
+function _fSendFormats(res, oFormats) {
+  res.format(Object.assign({}, oFormats, {
+    default: function () {
+      const mapped = mapError(_fGetErrorDetailsData("NOT_ACCEPTABLE", Object.keys(oFormats)));
+      res.status(mapped.status).json(mapped);
+    }
+  }));
+}
+
+/** Return HTML page for oDoc, the JSON response for a document. */
+function _fGetDocHtml(oDoc, oRequestData) {
+  let sHost = oRequestData.headers.host;
+  let sPathName = _fGetPathName(oRequestData);
+  let aLinks = [
+    {rel: "Self", href: _fGenerateLink(sHost, sPathName)},
+    {rel: "Versions", href: _fGenerateLink(sHost, `${sPathName}/versions`)}
+  ];
+  let sTitle = (oDoc.title !== undefined) ? oDoc.title : oDoc.name;
+  let sBody = `<h1>${_fEscapeHtml(sTitle)}</h1>\n` +
+    `<pre>${_fEscapeHtml(oDoc.content)}</pre>\n` +
+    `<h2>Links</h2>\n${_fGetLinksHtml(aLinks)}`;
+  return _fGetHtmlPage(sTitle, sBody);
+}
+
+/** Return HTML page for oResult, the JSON response for the search
+ *  requested by oRequestData.  Matching words are marked unless the
+ *  request asked for its own highlighting.
+ */
+function _fGetSearchHtml(oResult, oRequestData) {
+  let oQuery = oRequestData.query;
+  let isMarked = !oQuery.hasOwnProperty('highlight');
+  let sTitle = `Search results for ${oQuery.q}`;
+  let sBody = `<h1>${_fEscapeHtml(sTitle)}</h1>\n<p>${oResult.totalCount} results</p>\n`;
+  if (oResult.results.length > 0) {
+    sBody += `<ol start="${+(oQuery.start || 0) + 1}">\n`;
+    oResult.results.forEach(function (oElement) {
+      let sLines = oElement.lines.map(function (sLine, iIndex) {
+        return isMarked ? _fMarkHtml(sLine, oElement.matches[iIndex]) : _fEscapeHtml(sLine);
+      }).join('');
+      sBody += `<li><a href="${_fEscapeHtml(oElement.href)}">${_fEscapeHtml(oElement.name)}</a> ` +
+        `(score ${oElement.score})\n<pre>${sLines}</pre></li>\n`;
+    });
+    sBody += '</ol>\n';
+  }
+  if (oResult.suggestions && oResult.suggestions.length > 0) {
+    sBody += `<p>Did you mean: ${oResult.suggestions.map(_fEscapeHtml).join(', ')}</p>\n`;
+  }
+  let aPageLinks = oResult.links.filter(oLink => oLink.rel !== "Self");
+  if (aPageLinks.length > 0) {
+    sBody += _fGetLinksHtml(aPageLinks);
+  }
+  return _fGetHtmlPage(sTitle, sBody);
+}
+
+/** Return CSV with the name, score and href of each result in
+ *  oResult, the JSON response for a search.
+ */
+function _fGetSearchCsv(oResult) {
+  let aRows = [['name', 'score', 'href']];
+  oResult.results.forEach(function (oElement) {
+    aRows.push([oElement.name, oElement.score, oElement.href]);
+  });
+  return aRows.map(aRow => aRow.map(_fGetCsvField).join(',') + '\r\n').join('');
+}
+
+/** Return value quoted as a CSV field if necessary. */
+function _fGetCsvField(value) {
+  let sValue = String(value);
+  return /[",\r\n]/.test(sValue) ? `"${sValue.replace(/"/g, '""')}"` : sValue;
+}
+
+/** Return an HTML list of anchors for aLinks, a list of {rel, href}. */
+function _fGetLinksHtml(aLinks) {
+  let sItems = aLinks.map(function (oLink) {
+    let sHref = _fEscapeHtml(oLink.href);
+    return `<li><a rel="${oLink.rel.toLowerCase()}" href="${sHref}">${oLink.rel}</a></li>\n`;
+  }).join('');
+  return `<ul>\n${sItems}</ul>\n`;
+}
+
+function _fGetHtmlPage(sTitle, sBody) {
+  return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+    `<title>${_fEscapeHtml(sTitle)}</title>\n</head>\n<body>\n${sBody}</body>\n</html>\n`;
+}
+
+/** Return sLine escaped for HTML with each [start, end] range in sorted
+ *  aRanges wrapped in a mark element.
+ */
+function _fMarkHtml(sLine, aRanges) {
+  let sMarked = '', iLast = 0;
+  for (const [iStart, iEnd] of aRanges) {
+    if (iStart < iLast) continue;
+    sMarked += _fEscapeHtml(sLine.substring(iLast, iStart)) +
+      `<mark>${_fEscapeHtml(sLine.substring(iStart, iEnd))}</mark>`;
+    iLast = iEnd;
+  }
+  return sMarked + _fEscapeHtml(sLine.substring(iLast));
+}
+
+function _fEscapeHtml(sText) {
+  return String(sText).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+const HTML_ESCAPES = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'};
+
+/** Return options for DocFinder.find() from validated search query
+ *  parameters oQuery.
+ */
+function _fGetFindOptions(oQuery) {
+  let oOptions = {
+    scoring: oQuery.scoring,
+    hits: oQuery.hits,
+    context: +(oQuery.context || 0),
+    fuzzy: +(oQuery.fuzzy || 0)
+  };
+  if (oQuery.hasOwnProperty('highlight')) {
+    let iComma = oQuery.highlight.indexOf(',');
+    oOptions.highlight = [oQuery.highlight.substring(0, iComma), oQuery.highlight.substring(iComma + 1)];
+  }
+
+  let oFilter = {};
+  if (oQuery.hasOwnProperty('tag')) {
+    oFilter.tags = [].concat(oQuery.tag);
+  }
+  if (oQuery.hasOwnProperty('field')) {
+    oFilter.fields = {};
+    for (const sField of [].concat(oQuery.field)) {
+      let iColon = sField.indexOf(':');
+      oFilter.fields[sField.substring(0, iColon)] = sField.substring(iColon + 1);
+    }
+  }
+  TIME_FILTERS.filter(sKey => oQuery.hasOwnProperty(sKey))
+    .forEach(sKey => oFilter[sKey] = oQuery[sKey]);
+  oOptions.filter = oFilter;
+
+  if (oQuery.hasOwnProperty('include')) {
+    oOptions.include = oQuery.include.split(',');
+  }
+  return oOptions;
+}
+
+/** Return version number given by path parameter sVersion; if it is
+ *  not a number it is returned unchanged for DocFinder to report as
+ *  not found.
+ */
+function _fGetVersionNumber(sVersion) {
+  return /^\d+$/.test(sVersion) ? +sVersion : sVersion;
+}
+
+/** Return the Self link of oRequestData, a request for the versions
+ *  of document sId, and a link to the current document.
+ */
+function _fGetVersionLinks(oRequestData, sId) {
+  let sHost = oRequestData.headers.host;
+  return [
+    {rel: "Self", href: _fGenerateLink(sHost, _fGetPathName(oRequestData))},
+    {rel: "Document", href: _fGenerateLink(sHost, `${oRequestData.baseUrl}${DOCS}/${sId}`)}
+  ];
+}
+
+/** Return representation of oCollection, as returned by Collections,
+ *  for a response.
+ */
+function _fGetCollectionData(oCollection, sHost) {
+  return Object.assign({name: oCollection.name}, oCollection.settings, {
+    href: _fGenerateLink(sHost, `${COLLECTIONS}/${oCollection.name}`)
+  });
+}
+
+/** Return representation of oHook, as returned by Webhooks, for a
+ *  response.
+ */
+function _fGetHookData(oHook, sHost) {
+  let sHref = _fGenerateLink(sHost, `${HOOKS}/${oHook.id}`);
+  return Object.assign({}, oHook, {
+    href: sHref,
+    links: [{rel: "Deliveries", href: `${sHref}/deliveries`}]
+  });
+}
+
+/** Return representation of oSearch, as returned by DocFinder, for
+ *  the response to oRequestData.
+ */
+function _fGetSavedSearchData(oSearch, oRequestData) {
+  let sHref = _fGenerateLink(oRequestData.headers.host, `${oRequestData.baseUrl}${SAVED_SEARCHES}/${oSearch.id}`);
+  return Object.assign({}, oSearch, {
+    href: sHref,
+    links: [{rel: "Matches", href: `${sHref}/matches`}]
+  });
+}
+
+/** Return the optional metadata properties of request body oReqBody
+ *  for DocFinder.
+ */
+function _fGetDocMeta(oReqBody) {
+  let oMeta = {};
+  DOC_META.filter(sKey => oReqBody.hasOwnProperty(sKey))
+    .forEach(sKey => oMeta[sKey] = oReqBody[sKey]);
+  return oMeta;
+}
+
+function _fCheckSearchQueryValidity(oQuery, iMaxCount = MAX_COUNT) {
   if (!oQuery.hasOwnProperty('q')) {
     return _fGetErrorDetailsData("BAD_PARAM", 'q');
+  }
+
+  //a repeated parameter is parsed as an array
+  for (const sKey of SINGLE_SEARCH_PARAMS) {
+    if (oQuery.hasOwnProperty(sKey) && typeof oQuery[sKey] !== 'string') {
+      return _fGetErrorDetailsData("REPEATED_PARAM", sKey);
+    }
+  }
+
+  if (oQuery.hasOwnProperty('start') && !/^\d+$/.test(oQuery.start)) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'start');
+
+  } else if (oQuery.hasOwnProperty('count') && !/^\d+$/.test(oQuery.count)) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'count');
+
+  } else if (oQuery.hasOwnProperty('count') && +oQuery.count > iMaxCount) {
+    return _fGetErrorDetailsData("OVER_LIMIT", 'count', iMaxCount);
+
+  } else if (oQuery.hasOwnProperty('hits') && HITS.indexOf(oQuery.hits) < 0) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'hits');
+
+  } else if (oQuery.hasOwnProperty('context') && !/^\d+$/.test(oQuery.context)) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'context');
+
+  } else if (oQuery.hasOwnProperty('fuzzy') && !/^[0-2]$/.test(oQuery.fuzzy)) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'fuzzy');
+
+  } else if (oQuery.hasOwnProperty('highlight') && String(oQuery.highlight).indexOf(',') < 0) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'highlight');
+
+  } else if (oQuery.hasOwnProperty('tag') && ![].concat(oQuery.tag).every(sTag => typeof sTag === 'string')) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'tag');
+
+  } else if (oQuery.hasOwnProperty('field') && ![].concat(oQuery.field).every(sField => typeof sField === 'string' && sField.indexOf(':') > 0)) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'field');
+
+  } else if (oQuery.hasOwnProperty('include') && typeof oQuery.include !== 'string') {
+    return _fGetErrorDetailsData("BAD_PARAM", 'include');
+
+  } else if (oQuery.hasOwnProperty('format') && FORMATS.indexOf(oQuery.format) < 0) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'format');
+
+  }
+
+  for (const sKey of TIME_FILTERS) {
+    if (oQuery.hasOwnProperty(sKey) && (typeof oQuery[sKey] !== 'string' || isNaN(Date.parse(oQuery[sKey])))) {
+      return _fGetErrorDetailsData("BAD_PARAM", sKey);
+    }
+  }
+
+  return {isValid: true};
+}
+
+function _fCheckLiveQueryValidity(oQuery, iMaxCount = MAX_COUNT) {
+  if (oQuery.hasOwnProperty('text') && typeof oQuery.text !== 'string') {
+    return _fGetErrorDetailsData("BAD_PARAM", 'text');
+
+  } else if (oQuery.hasOwnProperty('count') && !/^[1-9]\d*$/.test(oQuery.count)) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'count');
+
+  } else if (oQuery.hasOwnProperty('count') && +oQuery.count > iMaxCount) {
+    return _fGetErrorDetailsData("OVER_LIMIT", 'count', iMaxCount);
+
+  }
+
+  return {isValid: true};
+}
+
+function _fCheckPageQueryValidity(oQuery, iMaxCount = MAX_COUNT) {
+  if (oQuery.hasOwnProperty('start') && !/^\d+$/.test(oQuery.start)) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'start');
+
+  } else if (oQuery.hasOwnProperty('count') && !/^\d+$/.test(oQuery.count)) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'count');
+
+  } else if (oQuery.hasOwnProperty('count') && +oQuery.count > iMaxCount) {
+    return _fGetErrorDetailsData("OVER_LIMIT", 'count', iMaxCount);
 
-  } else if (oQuery.hasOwnProperty('start') && (/*!+oQuery.start ||*/ +oQuery.start < 0)) {
+  }
+
+  return {isValid: true};
+}
+
+function _fCheckCompletionQueryValidity(oQuery, iMaxCount = MAX_COUNT) {
+  if (!oQuery.hasOwnProperty('text')) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'text');
+
+  } else if (oQuery.hasOwnProperty('start') && !/^\d+$/.test(oQuery.start)) {
     return _fGetErrorDetailsData("BAD_PARAM", 'start');
 
-  } else if (oQuery.hasOwnProperty('count') && (/*!+oQuery.count ||*/ +oQuery.count < 0)) {
+  } else if (oQuery.hasOwnProperty('count') && !/^\d+$/.test(oQuery.count)) {
     return _fGetErrorDetailsData("BAD_PARAM", 'count');
 
+  } else if (oQuery.hasOwnProperty('count') && +oQuery.count > iMaxCount) {
+    return _fGetErrorDetailsData("OVER_LIMIT", 'count', iMaxCount);
+
   }
 
   return {isValid: true};
 }
 
-function _fCheckRequestBodyValidity(oRequestBody) {
-  if (!oRequestBody.hasOwnProperty('name')) {
-    return _fGetErrorDetailsData("BAD_REQUEST", 'name');
+/** Parse body of a bulk request: either an already parsed JSON array
+ *  or NDJSON text.  Returns {isValid: true, items} where each item is
+ *  either {doc} or {error} for an NDJSON line which is not JSON.
+ */
+function _fParseBulkBody(body) {
+  if (Array.isArray(body)) {
+    return {isValid: true, items: body.map(oDoc => ({doc: oDoc}))};
+  }
+  if (typeof body !== 'string') {
+    return _fGetErrorDetailsData("BAD_BODY");
+  }
 
-  } else if (!oRequestBody.hasOwnProperty('content')) {
-    return _fGetErrorDetailsData("BAD_REQUEST", 'content');
+  let aItems = [];
+  body.split('\n').forEach(function (sLine, iIndex) {
+    if (sLine.trim() === '') return;
+    try {
+      aItems.push({doc: JSON.parse(sLine)});
+    }
+    catch (err) {
+      aItems.push({
+        error: {
+          line: iIndex + 1,
+          status: BAD_REQUEST,
+          code: 'BAD_REQUEST',
+          message: `line ${iIndex + 1} is not valid JSON`
+        }
+      });
+    }
+  });
+  return {isValid: true, items: aItems};
+}
 
+function _fCheckRequestBodyValidity(oRequestBody, aRequired = ['name', 'content']) {
+  if (oRequestBody.isRaw && aRequired.indexOf('name') >= 0 && oRequestBody.name === undefined) {
+    return _fGetErrorDetailsData("BAD_PARAM", 'name');
+  }
+  for (const sField of aRequired) {
+    if (!oRequestBody.hasOwnProperty(sField)) {
+      return _fGetErrorDetailsData("BAD_REQUEST", sField);
+    }
   }
   return {isValid: true};
 }
 
-function _fGetErrorDetailsData(sErrorCode, sCulprit) {
+/** Return the document sent in the body of oRequestData.  A raw
+ *  document body with one of DOC_TYPES is returned as an object
+ *  having name sName, content and contentType from the Content-Type
+ *  header, and a true isRaw property; a JSON body is returned as is.
+ */
+function _fGetDocBody(oRequestData, sName) {
+  let body = oRequestData.body;
+  if (typeof body !== 'string') {
+    return body;
+  }
+  return {
+    isRaw: true,
+    name: sName,
+    content: body,
+    contentType: oRequestData.is(DOC_TYPES)
+  };
+}
+
+/** Return the API key presented by oRequestData as a bearer token or
+ *  in the X-API-Key header; undefined if none.
+ */
+function _fGetRequestKey(oRequestData) {
+  let sAuthorization = oRequestData.get('Authorization');
+  if (sAuthorization !== undefined) {
+    let aMatch = sAuthorization.match(/^Bearer\s+(\S+)\s*$/i);
+    return aMatch ? aMatch[1] : '';
+  }
+  return oRequestData.get(API_KEY_HEADER);
+}
+
+/** Mark errors thrown by DocFinder with a known code as domain errors
+ *  so that mapError() maps them to the corresponding HTTP status.
+ */
+function _fToDomainError(err) {
+  if (!err.isDomain && FINDER_ERROR_CODES.hasOwnProperty(err.code)) {
+    err.isDomain = true;
+    err.errorCode = FINDER_ERROR_CODES[err.code];
+  }
+  return err;
+}
+
+function _fGetErrorDetailsData(sErrorCode, sCulprit, limit) {
   let oData = {};
   oData.isValid = false;
   oData.isDomain = true;
@@ -326,12 +1726,46 @@ function _fGetErrorDetailsData(sErrorCode, sCulprit) {
 
   switch (sErrorCode) {
     case "BAD_PARAM":
-      oData.message = sCulprit === "q" ? `required query parameter "${sCulprit}" is missing` : `bad query parameter "${sCulprit}"`;
+      oData.message = (sCulprit === "q" || sCulprit === "text" || sCulprit === "name") ? `required query parameter "${sCulprit}" is missing` : `bad query parameter "${sCulprit}"`;
       break;
 
     case "BAD_REQUEST":
       oData.message = `required body parameter "${sCulprit}" is missing`;
       break;
+
+    case "BAD_BODY":
+      oData.message = `body must be a JSON array or ${NDJSON_TYPE} documents`;
+      break;
+
+    case "UNAUTHORIZED":
+      oData.message = `${sCulprit} API key`;
+      break;
+
+    case "FORBIDDEN":
+      oData.message = `API key does not have "${sCulprit}" scope`;
+      break;
+
+    case "REPEATED_PARAM":
+      oData.errorCode = "BAD_PARAM";
+      oData.message = `query parameter "${sCulprit}" may only be given once`;
+      break;
+
+    case "OVER_LIMIT":
+      oData.errorCode = "BAD_PARAM";
+      oData.message = `query parameter "${sCulprit}" must be at most ${limit}`;
+      break;
+
+    case "NOT_ACCEPTABLE":
+      oData.message = `response can only be one of ${sCulprit.join(', ')}`;
+      break;
+
+    case "PAYLOAD_TOO_LARGE":
+      oData.message = `request body must be at most ${sCulprit} bytes`;
+      break;
+
+    case "TOO_MANY_REQUESTS":
+      oData.message = `too many ${sCulprit} requests; retry later`;
+      break;
   }
 
   return oData;
@@ -7,22 +7,51 @@ const readFile = promisify(require('fs').readFile);
 const writeFile = promisify(require('fs').writeFile);
 const Path = require('path');
 
-const DocFinder = require('doc-finder');
+const Collections = require('doc-finder/collections');
+const ApiKeys = require('doc-finder/api-keys');
+const Webhooks = require('doc-finder/webhooks');
+const {loadConfig, requireSettings, settingsHelp} = require('doc-finder/config');
 const docsServer = require('./docs-ws');
 
 function usage() {
-  console.error("usage: %s MONGO_DB_URL PORT NOISE_FILE [CONTENT_FILE...]",
-		Path.basename(process.argv[1]));
+  console.error("usage: %s [--FLAG VALUE...] [DB_URL PORT NOISE_FILE [CONTENT_FILE...]]\n%s",
+		Path.basename(process.argv[1]), settingsHelp());
   process.exit(1);
 }
 
-function getPort(portArg) {
-  let port = Number(portArg);
-  if (!port) {
-    console.error(`bad port '${portArg}'`);
-    usage();
+//Flags equivalent to the positional arguments DB_URL PORT NOISE_FILE.
+const POSITIONAL_FLAGS = [
+  ['--db-url', 'DB_URL'], ['--port', 'PORT'], ['--noise-file', 'NOISE_FILE'],
+];
+
+//Return configuration from args, where the positional arguments
+//DB_URL PORT NOISE_FILE [CONTENT_FILE...] are equivalent to the
+//corresponding flags.
+async function getConfig(args) {
+  let {config, args: rest, warnings} = await loadConfig(args);
+  if (rest.length > 0) {
+    if (rest.length < 3) usage();
+    const [dbUrl, port, noiseFile, ...contentFiles] = rest;
+    const leading = args.slice(0, args.length - rest.length);
+    for (const [flag, positional] of POSITIONAL_FLAGS) {
+      if (leading.some(a => a === flag || a.startsWith(`${flag}=`))) {
+	const err = new Error(`flag ${flag} conflicts with positional ` +
+			      `argument ${positional}`);
+	err.code = 'BAD_CONFIG';
+	throw err;
+      }
+    }
+    const flags = leading
+      .concat(['--db-url', dbUrl, '--port', port, '--noise-file', noiseFile]);
+    contentFiles.forEach(f => flags.push('--content-file', f));
+    ({config} = await loadConfig(flags));
+  }
+  warnings.forEach(w => console.warn(`warning: ${w}`));
+  requireSettings(config, ['dbUrl', 'port']);
+  if (config.resetOnStart || config.resetInterval > 0) {
+    requireSettings(config, ['noiseFile']);
   }
-  return port;
+  return config;
 }
 
 async function readFileContents(path) {
@@ -36,11 +65,14 @@ async function readFileContents(path) {
 }
 
 async function addContent(finder, args) {
+  const docs = [];
   for (const fName of args) {
     const name = Path.basename(fName, '.txt');
-    const text = await readFileContents(fName);
-    await finder.addContent(name, text);
+    docs.push({ name, content: await readFileContents(fName) });
   }
+  const results = await finder.addContents(docs);
+  results.filter(r => r.status === 'error')
+    .forEach(r => console.error(`cannot add ${r.name}: ${r.message}`));
 }
 
 async function shutdown(event, resources) {
@@ -50,9 +82,9 @@ async function shutdown(event, resources) {
       await resources.server.close();
       delete resources.server;
     }
-    if (resources.finder) {
-      await resources.finder.close();
-      delete resources.finder;
+    if (resources.collections) {
+      await resources.collections.close();
+      delete resources.collections;
     }
     if (resources.timer) {
       clearInterval(resources.timer);
@@ -70,41 +102,60 @@ function cleanupResources(resources) {
 
 const PID_FILE = '.pid';
 
-//Time after which db should be reset
-const CLEAR_TIME_MILLIS = Number(process.env.DOCS_CLEAR_TIME)*1000 || -1;
-
-//Reset data in db, assuming args[2] contains name of noise-words file
-//and remaining args contain names of content files.
-async function resetData(finder, args) {
+//Reset data of the default collection to the noise words and content
+//files given by config.
+async function resetData(finder, config) {
   await finder.clear();
-  const noise = await readFileContents(args[2]);
+  const noise = await readFileContents(config.noiseFile);
   await finder.addNoiseWords(noise);
-  await addContent(finder, args.slice(3));
+  await addContent(finder, config.contentFiles);
 }
 
-//args[0]: mongdb url; args[1]: port; args[2]: name of noise words file.
-//optional args[3]... : name of content files.
+//args: flags and positional arguments as described by usage().
 async function go(args) {
   const resources = {};
   try {
-
-    /**Support for custom as well as mongoAtlas Cluster */
-    if (args[0] != "mongoAtlas" && !/^mongodb\:\/\/.+?\:\d+\/\w+$/.test(args[0])) {
-      console.error('bad mongo-db url; must be of form ' +
-		    'mongodb://SERVER:PORT/DBNAME');
-      usage();
-    }
-    const port = getPort(args[1]);
-    const finder = resources.finder = await DocFinder.create(args[0]);
+    const config = await getConfig(args);
+    const credentials = (config.dbUser !== undefined)
+      ? { user: config.dbUser, password: config.dbPassword }
+      : undefined;
+    const options = { credentials, foldDiacritics: config.foldDiacritics };
+    const collections = resources.collections =
+      await Collections.create(config.dbUrl, options);
+    const finder = collections.defaultFinder;
+    const webhooks = await Webhooks.create(collections, {
+      maxAttempts: config.hookAttempts,
+      retryDelay: config.hookRetryDelay,
+    });
     await writeFile(PID_FILE, `${process.pid}\n`);
-    await resetData(finder, args);
-    resources.server = docsServer.serve(port, finder);
-    if (CLEAR_TIME_MILLIS > 0) {
-      const resetFn = async () => { await resetData(finder, args); }
-      resources.timer = setInterval(resetFn, CLEAR_TIME_MILLIS)
+    if (config.resetOnStart) await resetData(finder, config);
+    const serverOptions = {
+      webhooks,
+      count: config.count,
+      anonymousRead: config.anonymousRead,
+      maxCount: config.maxCount,
+      maxQueryTerms: config.maxQueryTerms,
+      maxBodySize: config.maxBodySize,
+      maxBulkSize: config.maxBulkSize,
+      rateLimits: {
+	search: { rate: config.searchRate, burst: config.searchBurst },
+	write: { rate: config.writeRate, burst: config.writeBurst },
+      },
+    };
+    if (config.keysFile) {
+      serverOptions.apiKeys = await ApiKeys.load(config.keysFile);
+    }
+    resources.server = docsServer.serve(config.port, collections, serverOptions);
+    if (config.resetInterval > 0) {
+      const resetFn = async () => { await resetData(finder, config); }
+      resources.timer = setInterval(resetFn, config.resetInterval*1000)
     }
   }
   catch (err) {
+    if (err.code === 'BAD_CONFIG' || err.code === 'BAD_KEYS_FILE') {
+      console.error(err.message);
+      process.exit(1);
+    }
     console.error(err);
   }
   finally {
@@ -112,7 +163,6 @@ async function go(args) {
   }
 }
 
-if (process.argv.length < 5) usage();
 go(process.argv.slice(2));
 
 // go(["mongodb://localhost:27017/docs", "1235", "./data/noise-words.txt", "./data/snark/*.txt"]);//TODO: remove this before committing
\ No newline at end of file
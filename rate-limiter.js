@@ -0,0 +1,57 @@
+'use strict';
+
+/** Token-bucket rate limiter keeping a separate bucket per client.
+ *  Each bucket holds at most burst tokens and is refilled at rate
+ *  tokens per minute; a request is allowed iff it can take a token
+ *  from its client's bucket.  A rate of 0 disables limiting.
+ */
+class RateLimiter {
+
+  constructor(rate, burst) {
+    this.rate = rate; this.burst = Math.max(burst, 1);
+    this.buckets = new Map();
+    this.nTakes = 0;
+  }
+
+  /** Take a token for client (any string identifying the client)
+   *  at time now (in milliseconds).  Return 0 if the request is
+   *  allowed; otherwise return the number of seconds after which a
+   *  token will be available.
+   */
+  take(client, now=Date.now()) {
+    if (this.rate <= 0) return 0;
+    if (++this.nTakes % SWEEP_INTERVAL === 0) this._sweep(now);
+    const perMilli = this.rate/MILLIS_PER_MINUTE;
+    const bucket = this.buckets.get(client) ||
+      { tokens: this.burst, time: now };
+    bucket.tokens =
+      Math.min(this.burst, bucket.tokens + (now - bucket.time)*perMilli);
+    bucket.time = now;
+    this.buckets.set(client, bucket);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens)/perMilli/1000);
+  }
+
+  /** Forget clients whose buckets would be full at time now, since
+   *  a new bucket for them would be the same.
+   */
+  _sweep(now) {
+    const perMilli = this.rate/MILLIS_PER_MINUTE;
+    for (const [client, bucket] of this.buckets.entries()) {
+      if (bucket.tokens + (now - bucket.time)*perMilli >= this.burst) {
+	this.buckets.delete(client);
+      }
+    }
+  }
+
+} //class RateLimiter
+
+module.exports = RateLimiter;
+
+const MILLIS_PER_MINUTE = 60*1000;
+
+//Number of take() calls between sweeps of idle buckets.
+const SWEEP_INTERVAL = 1000;